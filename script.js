@@ -1,1281 +1,7714 @@
 // Media Vault Pro - Firebase Cloud Edition
-class MediaVaultCloud {
-    constructor() {
-        this.currentFolder = 'root';
-        this.selectedItems = [];
-        this.folderStructure = {};
-        this.mediaData = {};
-        this.selectionMode = false;
-        this.dragging = false;
-        this.currentVideo = null;
-        this.longPressTimer = null;
-        this.syncing = false;
-        this.isOnline = navigator.onLine;
-        
-        // Firebase instance
-        this.db = null;
-        this.userId = null;
-        this.unsubscribe = null;
-        
-        // Initialize Firebase
-        this.initializeFirebase();
-        
-        // Only initialize if we're logged in
-        const isLoggedIn = localStorage.getItem('mv_isLoggedIn') === 'true';
-        if (isLoggedIn && document.getElementById('gallery-section').style.display !== 'none') {
-            this.initializeApp();
-        }
+
+// STORAGE ADAPTERS
+// Every backend exposes the same operations, so the app never talks to a
+// particular service directly:
+//   isReady()                     - true once the backend can be used
+//   load()                        - the vault data, or null if there is none yet
+//   save(data)                    - persist the whole vault
+//   subscribe(onChange, onError)  - report remote changes; returns an unsubscribe function
+//   status()                      - { ready, text } for the settings screen
+// Backends that can keep vault snapshots (see SNAPSHOTS) also implement:
+//   listSnapshots()               - [{ id, takenAt, summary }]
+//   saveSnapshot(id, info, data)  - store { takenAt, summary } and the vault data under id
+//   loadSnapshot(id)              - the stored data, or null
+//   deleteSnapshot(id)
+// summary and data arrive already protected by vaultCipher; backends store them as they are.
+const STORAGE_BACKENDS = {
+    firestore: 'Firebase (cloud sync)',
+    local: 'This device only (offline)',
+    github: 'GitHub repository'
+};
+
+// Thrown by save() when the backend changed since the last load; the app
+// merges the newer copy and saves again
+class StorageConflictError extends Error {
+    constructor(message = 'Vault was changed by another device') {
+        super(message);
+        this.name = 'StorageConflictError';
     }
+}
 
-    async initializeFirebase() {
-        try {
-            // Initialize Firebase with config from index.html
-            firebase.initializeApp(firebaseConfig);
-            
-            // Initialize Firestore
-            this.db = firebase.firestore();
-            
-            // Listen for auth state changes
-            firebase.auth().onAuthStateChanged(async (user) => {
-                if (user) {
-                    this.userId = user.uid;
-                    this.updateSyncStatus('connected', 'Connected to Firebase');
-                    console.log('Firebase user:', user.uid);
-                    
-                    // Load data if logged in
-                    const isLoggedIn = localStorage.getItem('mv_isLoggedIn') === 'true';
-                    if (isLoggedIn && !window.mediaVaultInitialized) {
-                        await this.loadDataFromFirebase();
-                        this.startRealtimeUpdates();
-                        if (window.mediaVaultInitialized) {
-                            this.buildFolderUI(this.currentFolder);
+// Thrown when stored data is encrypted with a key this device doesn't have.
+// encryption is the vault's public key block, needed to unlock it.
+class VaultKeyError extends Error {
+    constructor(encryption = null) {
+        super('The vault is encrypted - enter its passphrase in Settings');
+        this.name = 'VaultKeyError';
+        this.encryption = encryption;
+    }
+}
+
+function encodeBase64Bytes(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBase64Bytes(base64) {
+    return Uint8Array.from(atob(base64.replace(/\s/g, '')), char => char.charCodeAt(0));
+}
+
+function encodeBase64Utf8(text) {
+    return encodeBase64Bytes(new TextEncoder().encode(text));
+}
+
+function decodeBase64Utf8(base64) {
+    return new TextDecoder().decode(decodeBase64Bytes(base64));
+}
+
+// Minimal promise wrapper around IndexedDB
+const vaultDB = {
+    name: 'mediavault',
+    version: 3,
+    // Store name -> createObjectStore options
+    stores: {
+        vault: {},
+        operations: { autoIncrement: true },
+        // Snapshot summaries and contents are kept apart so listing stays cheap
+        snapshots: {},
+        snapshotData: {}
+    },
+    connection: null,
+
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    Object.entries(this.stores).forEach(([store, options]) => {
+                        if (!request.result.objectStoreNames.contains(store)) {
+                            request.result.createObjectStore(store, options);
                         }
-                    }
-                } else {
-                    // Sign in anonymously
-                    await this.signInAnonymously();
-                }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
             });
-            
-        } catch (error) {
-            console.error('Firebase initialization error:', error);
-            this.updateSyncStatus('error', 'Firebase connection failed');
         }
-    }
+        return this.connection;
+    },
 
-    async signInAnonymously() {
-        try {
-            const result = await firebase.auth().signInAnonymously();
-            this.userId = result.user.uid;
-            this.updateSyncStatus('connected', 'Connected anonymously');
-        } catch (error) {
-            console.error('Anonymous sign-in failed:', error);
-            this.updateSyncStatus('error', 'Sign-in failed');
-        }
+    async run(store, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(store, mode);
+            const request = operation(transaction.objectStore(store));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    get(store, key) {
+        return this.run(store, 'readonly', objectStore => objectStore.get(key));
+    },
+
+    put(store, key, value) {
+        return this.run(store, 'readwrite', objectStore => objectStore.put(value, key));
+    },
+
+    // Resolves with the generated key
+    add(store, value) {
+        return this.run(store, 'readwrite', objectStore => objectStore.add(value));
+    },
+
+    count(store) {
+        return this.run(store, 'readonly', objectStore => objectStore.count());
+    },
+
+    // key may also be an IDBKeyRange
+    delete(store, key) {
+        return this.run(store, 'readwrite', objectStore => objectStore.delete(key));
+    },
+
+    clear(store) {
+        return this.run(store, 'readwrite', objectStore => objectStore.clear());
+    },
+
+    // All records in key order, as { key, value }
+    async entries(store) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const transaction = db.transaction(store, 'readonly');
+            transaction.objectStore(store).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    entries.push({ key: cursor.key, value: cursor.value });
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
+};
 
-    async initializeApp() {
-        // Wait for Firebase to be ready
-        if (!this.userId) {
-            setTimeout(() => this.initializeApp(), 500);
-            return;
+// END-TO-END ENCRYPTION
+// A random vault key (AES-GCM for contents, HMAC for document ids) encrypts
+// everything before it leaves the app. The vault key itself is stored next
+// to the data only wrapped with a key derived from the passphrase (the
+// public "encryption" block), so changing the passphrase just re-wraps it.
+// Replacing the vault key re-encrypts everything under a new keyId.
+// Each device keeps the key in IndexedDB after the first unlock, but only as
+// non-extractable CryptoKeys: the raw bytes never leave memory, so changing
+// the passphrase needs the current one to unwrap them again.
+const vaultCipher = {
+    iterations: 310000,
+    minLength: 8,
+    keyId: null,
+    encryption: null,
+    aesKey: null,
+    hmacKey: null,
+    restoring: null,
+
+    active() {
+        return Boolean(this.aesKey);
+    },
+
+    // Loads this device's key, once
+    restore() {
+        if (!this.restoring) {
+            this.restoring = vaultDB.get('vault', 'cipher')
+                .then(async record => {
+                    if (!record) return;
+                    if (record.raw) {
+                        // Stored by older versions as plain bytes; replace them
+                        await this.useKey(record.raw, record.encryption);
+                        await this.persist();
+                    } else {
+                        this.aesKey = record.aesKey;
+                        this.hmacKey = record.hmacKey;
+                        this.encryption = record.encryption;
+                        this.keyId = record.encryption.keyId;
+                    }
+                })
+                .catch(error => console.error('Could not read the vault key:', error));
         }
-        
-        await this.loadDataFromFirebase();
-        this.startRealtimeUpdates();
-        this.setupEventListeners();
-        this.setupSelectionSystem();
-        this.setupDragAndDrop();
-        this.setupMobileGestures();
-        this.buildFolderUI('root');
-        this.setupNetworkListener();
-    }
+        return this.restoring;
+    },
+
+    async useKey(raw, encryption) {
+        this.aesKey = await crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        this.hmacKey = await crypto.subtle.importKey('raw', raw.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        this.encryption = encryption;
+        this.keyId = encryption.keyId;
+    },
+
+    async persist() {
+        await vaultDB.put('vault', 'cipher', { aesKey: this.aesKey, hmacKey: this.hmacKey, encryption: this.encryption });
+    },
+
+    async passphraseKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    },
+
+    async wrap(raw, keyId, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await this.passphraseKey(passphrase, salt, this.iterations);
+        const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, raw);
+        return {
+            keyId,
+            salt: encodeBase64Bytes(salt),
+            iterations: this.iterations,
+            wrappedKey: { iv: encodeBase64Bytes(iv), data: encodeBase64Bytes(new Uint8Array(wrapped)) },
+            changed: new Date().toISOString()
+        };
+    },
+
+    newKey() {
+        const keyId = encodeBase64Bytes(crypto.getRandomValues(new Uint8Array(6))).replace(/[+/=]/g, '');
+        return { raw: crypto.getRandomValues(new Uint8Array(64)), keyId };
+    },
 
-    // FIREBASE DATA MANAGEMENT
-    async loadDataFromFirebase() {
+    async create(passphrase) {
+        const { raw, keyId } = this.newKey();
+        await this.useKey(raw, await this.wrap(raw, keyId, passphrase));
+        await this.persist();
+    },
+
+    // The raw vault key from an encryption block, for this call only
+    async unwrap(passphrase, encryption) {
+        const wrappingKey = await this.passphraseKey(
+            passphrase, decodeBase64Bytes(encryption.salt), encryption.iterations);
         try {
-            if (!this.userId || !this.db) {
-                console.log('Firebase not ready yet');
-                return;
-            }
-            
-            this.updateSyncStatus('syncing', 'Loading data...');
-            
-            const docRef = this.db.collection('mediaVault').doc(this.userId);
-            const doc = await docRef.get();
-            
-            if (doc.exists) {
-                const data = doc.data();
-                this.folderStructure = data.folderStructure || this.getDefaultFolderStructure();
-                this.mediaData = data.mediaData || this.getDefaultMediaData();
-                this.updateSyncStatus('synced', 'Data loaded from cloud');
-                console.log('Data loaded from Firebase');
-            } else {
-                // First time user - create default structure
-                this.folderStructure = this.getDefaultFolderStructure();
-                this.mediaData = this.getDefaultMediaData();
-                await this.saveDataToFirebase();
-                this.updateSyncStatus('synced', 'New vault created');
-                console.log('Created new vault in Firebase');
-            }
-            
+            return new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: decodeBase64Bytes(encryption.wrappedKey.iv) },
+                wrappingKey, decodeBase64Bytes(encryption.wrappedKey.data)));
         } catch (error) {
-            console.error('Error loading from Firebase:', error);
-            this.updateSyncStatus('error', 'Failed to load data');
-            // Fallback to local storage backup
-            this.loadFromLocalBackup();
+            throw new Error('Wrong passphrase');
         }
-    }
+    },
 
-    async saveDataToFirebase() {
-        if (!this.userId || !this.db) {
-            console.log('Firebase not ready, saving to local backup');
-            this.saveToLocalBackup();
-            return false;
+    // Unwraps the vault key from an encryption block found in storage
+    async unlock(passphrase, encryption) {
+        await this.useKey(await this.unwrap(passphrase, encryption), encryption);
+        await this.persist();
+    },
+
+    // replaceKey also switches to a new vault key, so everything is
+    // re-encrypted on the next save and old copies of the passphrase and
+    // wrapped key stop working
+    async changePassphrase(current, passphrase, replaceKey) {
+        const raw = await this.unwrap(current, this.encryption);
+        const { raw: key, keyId } = replaceKey ? this.newKey() : { raw, keyId: this.keyId };
+        await this.useKey(key, await this.wrap(key, keyId, passphrase));
+        await this.persist();
+    },
+
+    // For a device that leaves the vault: its next vault has its own key
+    async forget() {
+        this.aesKey = null;
+        this.hmacKey = null;
+        this.encryption = null;
+        this.keyId = null;
+        await vaultDB.delete('vault', 'cipher');
+    },
+
+    // Another device changed the passphrase but kept the key: take over its
+    // block so our next save doesn't put the old one back
+    async adopt(encryption) {
+        if (encryption && this.active() && encryption.keyId === this.keyId &&
+            String(encryption.changed) > String(this.encryption.changed)) {
+            this.encryption = encryption;
+            await this.persist();
         }
-        
-        try {
-            this.syncing = true;
-            this.updateSyncStatus('syncing', 'Saving changes...');
-            
-            const data = {
-                folderStructure: this.folderStructure,
-                mediaData: this.mediaData,
-                lastUpdated: new Date().toISOString(),
-                userId: this.userId,
-                version: '1.0'
-            };
-            
-            const docRef = this.db.collection('mediaVault').doc(this.userId);
-            await docRef.set(data, { merge: true });
-            
-            // Also save to local backup
-            this.saveToLocalBackup();
-            
-            this.syncing = false;
-            this.updateSyncStatus('synced', 'Changes saved to cloud');
-            console.log('Data saved to Firebase');
-            return true;
-            
-        } catch (error) {
-            console.error('Error saving to Firebase:', error);
-            this.syncing = false;
-            this.updateSyncStatus('error', 'Failed to save changes');
-            
-            // Save to local backup as fallback
-            this.saveToLocalBackup();
-            return false;
+    },
+
+    async seal(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, this.aesKey, new TextEncoder().encode(JSON.stringify(value)));
+        return { keyId: this.keyId, iv: encodeBase64Bytes(iv), data: encodeBase64Bytes(new Uint8Array(data)) };
+    },
+
+    async open(sealed, encryption = null) {
+        await this.restore();
+        if (!this.active() || sealed.keyId !== this.keyId) {
+            throw new VaultKeyError(encryption);
         }
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: decodeBase64Bytes(sealed.iv) }, this.aesKey, decodeBase64Bytes(sealed.data));
+        return JSON.parse(new TextDecoder().decode(data));
+    },
+
+    // Deterministic, so the same record always lands in the same document
+    async opaqueId(id) {
+        const signature = await crypto.subtle.sign('HMAC', this.hmacKey, new TextEncoder().encode(id));
+        return encodeBase64Bytes(new Uint8Array(signature)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    // Whole values (vault files, the local backup, queued operations).
+    // Without a key they are stored as they are.
+    async protect(value) {
+        await this.restore();
+        return this.active() ? { encryption: this.encryption, sealed: await this.seal(value) } : value;
+    },
+
+    async unprotect(stored) {
+        if (!stored || !stored.sealed) return stored;
+        const value = await this.open(stored.sealed, stored.encryption);
+        await this.adopt(stored.encryption);
+        return value;
     }
+};
 
-    startRealtimeUpdates() {
-        if (!this.userId || !this.db) return;
-        
-        try {
-            const docRef = this.db.collection('mediaVault').doc(this.userId);
-            
-            this.unsubscribe = docRef.onSnapshot((doc) => {
-                if (doc.exists) {
-                    const data = doc.data();
-                    const remoteTimestamp = data.lastUpdated || '';
-                    const localTimestamp = this.getLocalTimestamp();
-                    
-                    // Don't update if we just saved (to avoid feedback loop)
-                    if (remoteTimestamp !== localTimestamp && !this.syncing) {
-                        console.log('Receiving update from another device');
-                        this.folderStructure = data.folderStructure || this.getDefaultFolderStructure();
-                        this.mediaData = data.mediaData || this.getDefaultMediaData();
-                        this.buildFolderUI(this.currentFolder);
-                        this.updateSyncStatus('synced', 'Synced with other devices');
-                        this.showMessage('Changes updated from another device!');
-                    }
-                }
-            }, (error) => {
-                console.error('Realtime update error:', error);
-                this.updateSyncStatus('error', 'Realtime sync interrupted');
-            });
-            
-        } catch (error) {
-            console.error('Failed to start realtime updates:', error);
-        }
+// JSON with sorted keys, so records read back from a backend compare equal
+// to the same records built locally
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
     }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
 
-    // LOCAL BACKUP (fallback when offline)
-    saveToLocalBackup() {
-        const data = {
-            folderStructure: this.folderStructure,
-            mediaData: this.mediaData,
-            lastUpdated: new Date().toISOString()
-        };
-        localStorage.setItem('mv_local_backup', JSON.stringify(data));
+// Firestore layout:
+//   mediaVault/{vaultId}                 vault metadata (lastUpdated, csvSources, allowedDuplicates, playlists, ...)
+//   mediaVault/{vaultId}/folders/{id}    one document per folder, with its media order
+//   mediaVault/{vaultId}/media/{id}      one document per media item
+//   mediaVault/{vaultId}/devices/{uid}   devices paired with the vault (see DEVICE PAIRING)
+//   mediaVault/{vaultId}/snapshots/{id}  snapshot summaries, the contents split over parts/{n}
+// Saves only write the documents that changed since the last load or save.
+// Vaults from the old single-document layout are migrated on first load.
+// With encryption on, every document holds only { sealed } and its id is an
+// HMAC of the plain id; the caches below always work with plain ids.
+class FirestoreStorageAdapter {
+    constructor(db, vaultId) {
+        this.db = db;
+        this.vaultId = vaultId;
+        this.displayName = 'cloud';
+        this.batchLimit = 450;
+        // Characters per snapshot part; stays under 1 MiB even for multi-byte text
+        this.snapshotPartSize = 250000;
+        // Encoded bytes of snapshot parts per commit; a request may carry 10 MiB
+        this.snapshotBatchBytes = 8 * 1024 * 1024;
+
+        // Last known server state, keyed by document id, as stable JSON
+        this.meta = null;
+        this.folderDocs = new Map();
+        this.mediaDocs = new Map();
+
+        // Plain document id -> id stored in Firestore, per collection
+        this.storedIds = { folders: new Map(), media: new Map() };
+        // Fields of the root document and the key its records were written with
+        this.rootFields = [];
+        this.remoteEncryption = null;
     }
 
-    loadFromLocalBackup() {
-        const backup = localStorage.getItem('mv_local_backup');
-        if (backup) {
-            try {
-                const data = JSON.parse(backup);
-                this.folderStructure = data.folderStructure || this.getDefaultFolderStructure();
-                this.mediaData = data.mediaData || this.getDefaultMediaData();
-                this.updateSyncStatus('offline', 'Using local backup (offline)');
-                console.log('Loaded from local backup');
-            } catch (error) {
-                console.error('Error loading from backup:', error);
-            }
-        }
+    get docRef() {
+        return this.db.collection('mediaVault').doc(this.vaultId);
     }
 
-    getLocalTimestamp() {
-        const backup = localStorage.getItem('mv_local_backup');
-        if (backup) {
-            try {
-                const data = JSON.parse(backup);
-                return data.lastUpdated || '';
-            } catch (error) {
-                return '';
-            }
-        }
-        return '';
+    isReady() {
+        return Boolean(this.db && this.vaultId);
     }
 
-    // SYNC STATUS MANAGEMENT
-    updateSyncStatus(status, message) {
-        const syncBar = document.getElementById('sync-status-bar');
-        const syncIcon = document.getElementById('sync-icon');
-        const syncText = document.getElementById('sync-text');
-        
-        if (!syncBar) return;
-        
-        syncBar.className = 'sync-status-bar ' + status;
-        
-        const icons = {
-            syncing: '🔄',
-            synced: '✓',
-            error: '⚠️',
-            offline: '📴',
-            connected: '☁️'
-        };
-        
-        syncIcon.textContent = icons[status] || '☁️';
-        syncText.textContent = message;
+    mediaDocId(folderId, mediaId, occurrence) {
+        const key = `${folderId}__${mediaId}` + (occurrence > 1 ? `__${occurrence}` : '');
+        return encodeURIComponent(key);
     }
 
-    setupNetworkListener() {
-        window.addEventListener('online', () => {
-            this.isOnline = true;
-            this.updateSyncStatus('syncing', 'Reconnecting...');
-            setTimeout(() => {
-                this.saveDataToFirebase();
-            }, 1000);
-        });
-        
-        window.addEventListener('offline', () => {
-            this.isOnline = false;
-            this.updateSyncStatus('offline', 'Offline - changes saved locally');
+    // Vault data -> { meta, folders, media } with one plain object per document
+    splitVault(data) {
+        const { folderStructure = {}, mediaData = {}, ...meta } = data;
+        const folders = new Map();
+        const media = new Map();
+
+        Object.entries(folderStructure).forEach(([folderId, folder]) => {
+            const seen = {};
+            const mediaOrder = (mediaData[folderId] || []).map(item => {
+                seen[item.id] = (seen[item.id] || 0) + 1;
+                const docId = this.mediaDocId(folderId, item.id, seen[item.id]);
+                media.set(docId, { ...item, folderId: folderId });
+                return docId;
+            });
+            folders.set(folderId, { ...folder, mediaOrder: mediaOrder });
         });
-    }
 
-    // DATA MANAGEMENT
-    getDefaultFolderStructure() {
-        return {
-            'root': { 
-                name: 'Home', 
-                children: [], 
-                parent: null 
-            }
-        };
+        return { meta: { ...meta, layout: 'split' }, folders, media };
     }
 
-    getDefaultMediaData() {
-        return {};
+    joinVault(meta, folders, media) {
+        const { layout, userId, vaultId, ...data } = meta || {};
+        const folderStructure = {};
+        const mediaData = {};
+        const byFolder = {};
+
+        media.forEach((record, docId) => {
+            const { folderId, ...item } = record;
+            (byFolder[folderId] = byFolder[folderId] || new Map()).set(docId, item);
+        });
+
+        folders.forEach((record, folderId) => {
+            const { mediaOrder = [], ...folder } = record;
+            folderStructure[folderId] = folder;
+
+            const records = byFolder[folderId] || new Map();
+            const ordered = mediaOrder.filter(docId => records.has(docId));
+            // Items written by a device whose folder update hasn't landed yet
+            const extra = [...records.keys()]
+                .filter(docId => !mediaOrder.includes(docId))
+                .sort((a, b) => String(records.get(a).added).localeCompare(String(records.get(b).added)));
+            mediaData[folderId] = [...ordered, ...extra].map(docId => records.get(docId));
+        });
+
+        return { ...data, folderStructure, mediaData };
     }
 
-    // UTILITY METHODS
-    sanitizeId(name) {
-        return name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+    async load() {
+        const doc = await this.docRef.get();
+        if (!doc.exists) {
+            return null;
+        }
+
+        const root = doc.data();
+        if (root.layout !== 'split') {
+            this.rootFields = Object.keys(root);
+            await this.migrateSingleDocument(root);
+            return this.joinVault(this.parse(this.meta), this.parseAll(this.folderDocs), this.parseAll(this.mediaDocs));
+        }
+
+        const meta = await this.openRoot(root);
+        const [folderSnapshot, mediaSnapshot] = await Promise.all([
+            this.docRef.collection('folders').get(),
+            this.docRef.collection('media').get()
+        ]);
+
+        this.meta = stableStringify(meta);
+        this.folderDocs = new Map();
+        this.mediaDocs = new Map();
+        this.storedIds = { folders: new Map(), media: new Map() };
+        await this.readChanges('folders', this.folderDocs, folderSnapshot.docs.map(doc => ({ type: 'added', doc })));
+        await this.readChanges('media', this.mediaDocs, mediaSnapshot.docs.map(doc => ({ type: 'added', doc })));
+
+        return this.joinVault(meta, this.parseAll(this.folderDocs), this.parseAll(this.mediaDocs));
     }
 
-    capitalizeFirst(string) {
-        return string.charAt(0).toUpperCase() + string.slice(1);
+    async openRoot(root) {
+        this.rootFields = Object.keys(root);
+        this.remoteEncryption = root.encryption || null;
+        if (!root.sealed) return root;
+
+        const { sealed, encryption, ...visible } = root;
+        const meta = await vaultCipher.open(sealed, encryption);
+        await vaultCipher.adopt(encryption);
+        return { ...visible, ...meta };
     }
 
-    extractFileId(url) {
-        const patterns = [
-            /\/file\/d\/([^\/]+)/,
-            /id=([^&]+)/,
-            /\/d\/([^\/]+)/,
-            /\/view\?usp=sharing/
-        ];
-        
-        // If it's already just an ID (no URL structure)
-        if (url.length === 33 && !url.includes('/') && !url.includes('=')) {
-            return url;
+    async encodeRecord(docId, record) {
+        if (!vaultCipher.active()) {
+            return { storedId: docId, data: record };
         }
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match && match[1]) {
-                return match[1];
-            }
+        return {
+            storedId: await vaultCipher.opaqueId(docId),
+            data: { sealed: await vaultCipher.seal({ id: docId, record }) }
+        };
+    }
+
+    async decodeRecord(storedId, data) {
+        if (!data.sealed) {
+            return { docId: storedId, record: data };
         }
-        
-        // Try to extract from Google Drive share URL
-        if (url.includes('drive.google.com')) {
-            try {
-                const tempUrl = new URL(url);
-                const id = tempUrl.searchParams.get('id');
-                if (id) return id;
-            } catch (e) {
-                // Invalid URL
+        const { id, record } = await vaultCipher.open(data.sealed, this.remoteEncryption);
+        return { docId: id, record };
+    }
+
+    // Applies snapshot changes to a cache, decrypting as needed
+    async readChanges(collection, cache, changes) {
+        const storedIds = this.storedIds[collection];
+        for (const change of changes) {
+            if (change.type === 'removed') {
+                // Re-encrypted documents move to a new id; only forget the
+                // record if this was still its current document
+                const entry = [...storedIds].find(([, storedId]) => storedId === change.doc.id);
+                if (entry) {
+                    cache.delete(entry[0]);
+                    storedIds.delete(entry[0]);
+                }
+            } else {
+                const { docId, record } = await this.decodeRecord(change.doc.id, change.doc.data());
+                cache.set(docId, stableStringify(record));
+                storedIds.set(docId, change.doc.id);
             }
         }
-        
-        return null;
     }
 
-    showMessage(text, type = 'success') {
-        const message = document.createElement('div');
-        message.className = `status-message`;
-        message.style.background = type === 'error' ? 'var(--danger)' : 
-                                 type === 'warning' ? 'var(--warning)' : 'var(--success)';
-        message.textContent = text;
-        document.body.appendChild(message);
-        
-        setTimeout(() => {
-            if (message.parentNode) {
-                message.parentNode.removeChild(message);
-            }
-        }, 3000);
+    // One-time move from the single mediaVault/{uid} document. The records are
+    // written first and the root document is switched over last, so an
+    // interrupted migration just runs again on the next load.
+    async migrateSingleDocument(legacy) {
+        this.meta = null;
+        this.folderDocs = new Map();
+        this.mediaDocs = new Map();
+
+        const cleared = {
+            folderStructure: firebase.firestore.FieldValue.delete(),
+            mediaData: firebase.firestore.FieldValue.delete()
+        };
+        await this.writeChanges(legacy, cleared);
     }
 
-    // SELECTION SYSTEM
-    setupSelectionSystem() {
-        document.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        document.addEventListener('mouseup', () => this.handleMouseUp());
-        document.addEventListener('mousemove', () => this.handleMouseMove());
-        
-        document.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-        document.addEventListener('touchend', () => this.handleTouchEnd());
-        document.addEventListener('touchmove', () => this.handleTouchMove());
-        
-        document.addEventListener('click', (e) => this.handleClick(e));
+    async save(data) {
+        await this.writeChanges(data);
     }
 
-    handleMouseDown(e) {
-        const item = e.target.closest('.folder-item, .media-item');
-        if (item && !this.selectionMode) {
-            this.longPressTimer = setTimeout(() => {
-                this.enterSelectionMode(item);
-            }, 500);
+    async writeChanges(data, extraMeta = {}) {
+        const { meta, folders, media } = this.splitVault(JSON.parse(JSON.stringify(data)));
+        meta.vaultId = this.vaultId;
+
+        // Records written with another key (or none) are all rewritten
+        const rewrite = (this.remoteEncryption ? this.remoteEncryption.keyId : null) !== vaultCipher.keyId;
+
+        const writes = [];
+        const diff = async (collection, cache, records) => {
+            const storedIds = this.storedIds[collection];
+            const ref = storedId => this.docRef.collection(collection).doc(storedId);
+            for (const [docId, record] of records) {
+                const json = stableStringify(record);
+                if (cache.get(docId) === json && !rewrite) continue;
+
+                const { storedId, data: stored } = await this.encodeRecord(docId, record);
+                writes.push({ ref: ref(storedId), data: stored, json, cache, docId, storedIds, storedId });
+                const previous = storedIds.get(docId);
+                if (previous && previous !== storedId) {
+                    writes.push({ ref: ref(previous), data: null, replaced: true });
+                }
+            }
+            cache.forEach((json, docId) => {
+                if (!records.has(docId)) {
+                    writes.push({ ref: ref(storedIds.get(docId) || docId), data: null, cache, docId, storedIds });
+                }
+            });
+        };
+        await diff('folders', this.folderDocs, folders);
+        await diff('media', this.mediaDocs, media);
+
+        let root = { ...meta, ...extraMeta };
+        if (vaultCipher.active()) {
+            root = { layout: 'split', vaultId: this.vaultId, encryption: vaultCipher.encryption, sealed: await vaultCipher.seal(meta) };
+        }
+        // e.g. the plain-text fields left over from before encryption was turned on
+        const dropped = this.rootFields.filter(field => !(field in root));
+        dropped.forEach(field => {
+            root[field] = firebase.firestore.FieldValue.delete();
+        });
+
+        // The root document goes last: a save too big for one batch is only
+        // complete once its lastUpdated lands, and subscribe() waits for that
+        writes.push({ ref: this.docRef, data: root, meta: true });
+
+        for (let i = 0; i < writes.length; i += this.batchLimit) {
+            const batch = this.db.batch();
+            writes.slice(i, i + this.batchLimit).forEach(write => {
+                if (write.data === null) {
+                    batch.delete(write.ref);
+                } else {
+                    batch.set(write.ref, write.data, write.meta ? { merge: true } : undefined);
+                }
+            });
+            await batch.commit();
+
+            writes.slice(i, i + this.batchLimit).forEach(write => {
+                if (write.meta) {
+                    this.meta = stableStringify(meta);
+                    this.rootFields = Object.keys(root).filter(field => !dropped.includes(field));
+                    this.remoteEncryption = vaultCipher.encryption;
+                } else if (write.replaced) {
+                    // The record itself lives on under its new id
+                } else if (write.data === null) {
+                    write.cache.delete(write.docId);
+                    write.storedIds.delete(write.docId);
+                } else {
+                    write.cache.set(write.docId, write.json);
+                    write.storedIds.set(write.docId, write.storedId);
+                }
+            });
         }
     }
 
-    handleMouseUp() {
-        this.clearLongPressTimer();
+    parse(json) {
+        return json ? JSON.parse(json) : {};
     }
 
-    handleMouseMove() {
-        this.clearLongPressTimer();
+    parseAll(cache) {
+        return new Map([...cache].map(([docId, json]) => [docId, JSON.parse(json)]));
     }
 
-    handleTouchStart(e) {
-        const item = e.target.closest('.folder-item, .media-item');
-        if (item && !this.selectionMode) {
-            this.longPressTimer = setTimeout(() => {
-                this.enterSelectionMode(item);
-            }, 500);
-        }
+    // Listens to the root document and both subcollections. Bursts of
+    // snapshots (one save touches all three) are merged into one update.
+    // Decrypting is async, so snapshots are processed one after another.
+    // Subcollection changes are only passed on once the root's lastUpdated
+    // has moved; until then they may be part of a save still being written.
+    subscribe(onChange, onError) {
+        let timer = null;
+        let queue = Promise.resolve();
+        let rootUpdated = null;
+        let emittedUpdated = null;
+        const enqueue = (task) => {
+            queue = queue.then(task).then(emit).catch(onError);
+        };
+        const emit = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (this.meta && rootUpdated !== emittedUpdated) {
+                    emittedUpdated = rootUpdated;
+                    onChange(this.joinVault(this.parse(this.meta), this.parseAll(this.folderDocs), this.parseAll(this.mediaDocs)));
+                }
+            }, 300);
+        };
+
+        // docChanges() only lists what changed since the previous snapshot,
+        // so every snapshot is read; just the documents this device is still
+        // writing are left out, save() has put those in the cache already
+        const watch = (collection, cache) => this.docRef.collection(collection).onSnapshot((snapshot) => {
+            const changes = snapshot.docChanges().filter(change => !change.doc.metadata.hasPendingWrites);
+            if (changes.length) enqueue(() => this.readChanges(collection, cache, changes));
+        }, onError);
+
+        const unsubscribers = [
+            this.docRef.onSnapshot((doc) => {
+                if (doc.metadata.hasPendingWrites || !doc.exists) return;
+                const root = doc.data();
+                // Still on the old layout: another device will migrate it
+                if (root.layout !== 'split') return;
+                enqueue(async () => {
+                    const meta = await this.openRoot(root);
+                    this.meta = stableStringify(meta);
+                    rootUpdated = meta.lastUpdated;
+                });
+            }, onError),
+            watch('folders', this.folderDocs),
+            watch('media', this.mediaDocs)
+        ];
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+        };
     }
 
-    handleTouchEnd() {
-        this.clearLongPressTimer();
+    get snapshotsRef() {
+        return this.docRef.collection('snapshots');
     }
 
-    handleTouchMove() {
-        this.clearLongPressTimer();
+    async listSnapshots() {
+        const result = await this.snapshotsRef.get();
+        return result.docs.map(doc => {
+            const { takenAt, summary } = doc.data();
+            return { id: doc.id, takenAt, summary };
+        });
     }
 
-    handleClick(e) {
-        if (this.selectionMode) {
-            const item = e.target.closest('.folder-item, .media-item');
-            if (item && !e.target.closest('.folder-option-btn')) {
-                this.toggleItemSelection(item);
-                e.preventDefault();
-                e.stopPropagation();
+    // The parts are written first; the summary document marks a complete snapshot
+    async saveSnapshot(id, info, data) {
+        const json = JSON.stringify(data);
+        const parts = [];
+        for (let i = 0; i < json.length; i += this.snapshotPartSize) {
+            parts.push(json.slice(i, i + this.snapshotPartSize));
+        }
+
+        // Batched by size as well as by count, so big snapshots fit in a request
+        const encoder = new TextEncoder();
+        const batches = [];
+        let bytes = 0;
+        parts.forEach((part, n) => {
+            const size = encoder.encode(part).length;
+            const current = batches[batches.length - 1];
+            if (!current || current.length === this.batchLimit || bytes + size > this.snapshotBatchBytes) {
+                batches.push([n]);
+                bytes = size;
+            } else {
+                current.push(n);
+                bytes += size;
             }
+        });
+
+        const ref = this.snapshotsRef.doc(id);
+        for (const numbers of batches) {
+            const batch = this.db.batch();
+            numbers.forEach(n => batch.set(ref.collection('parts').doc(String(n)), { data: parts[n] }));
+            await batch.commit();
         }
+        await ref.set({ ...info, parts: parts.length });
     }
 
-    clearLongPressTimer() {
-        if (this.longPressTimer) {
-            clearTimeout(this.longPressTimer);
-            this.longPressTimer = null;
-        }
+    async loadSnapshot(id) {
+        const ref = this.snapshotsRef.doc(id);
+        const doc = await ref.get();
+        if (!doc.exists) return null;
+
+        const parts = await Promise.all(Array.from({ length: doc.data().parts }, (_, n) =>
+            ref.collection('parts').doc(String(n)).get()));
+        return JSON.parse(parts.map(part => part.data().data).join(''));
     }
 
-    enterSelectionMode(initialItem) {
-        this.selectionMode = true;
-        document.body.classList.add('selection-mode');
-        this.toggleItemSelection(initialItem);
-        
-        // Hide mobile FAB when in selection mode
-        const fab = document.getElementById('mobile-fab');
-        if (fab) fab.style.display = 'none';
+    async deleteSnapshot(id) {
+        const ref = this.snapshotsRef.doc(id);
+        const parts = await ref.collection('parts').get();
+        const batch = this.db.batch();
+        parts.docs.forEach(doc => batch.delete(doc.ref));
+        batch.delete(ref);
+        await batch.commit();
     }
 
-    toggleItemSelection(item) {
-        const itemId = item.getAttribute('data-media-id') || item.getAttribute('data-folder-id');
-        const itemType = item.getAttribute('data-type');
-        const folderId = item.getAttribute('data-folder-id') || this.currentFolder;
+    status() {
+        return this.isReady()
+            ? { ready: true, text: 'Connected to Firebase' }
+            : { ready: false, text: 'Not connected to Firebase' };
+    }
+}
 
-        if (item.classList.contains('selected')) {
-            item.classList.remove('selected');
-            this.selectedItems = this.selectedItems.filter(selected => selected.id !== itemId);
-        } else {
-            item.classList.add('selected');
-            this.selectedItems.push({
-                id: itemId,
-                type: itemType,
-                folderId: folderId
-            });
-        }
+// Keeps the vault in this browser only. Other tabs are told about saves
+// through a BroadcastChannel so they behave like realtime updates.
+class IndexedDBStorageAdapter {
+    constructor() {
+        this.displayName = 'this device';
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel('mediavault-local') : null;
+    }
 
-        this.updateSelectionToolbar();
+    isReady() {
+        return 'indexedDB' in window;
     }
 
-    updateSelectionToolbar() {
-        const toolbar = document.getElementById('org-toolbar');
-        if (!toolbar) return;
-        
-        if (this.selectedItems.length > 0) {
-            toolbar.style.display = 'flex';
-        } else {
-            toolbar.style.display = 'none';
-            this.selectionMode = false;
-            document.body.classList.remove('selection-mode');
-            
-            // Show mobile FAB again
-            const fab = document.getElementById('mobile-fab');
-            if (fab) fab.style.display = 'block';
+    async load() {
+        const data = await vaultDB.get('vault', 'current');
+        return data ? vaultCipher.unprotect(data) : null;
+    }
+
+    async save(data) {
+        await vaultDB.put('vault', 'current', await vaultCipher.protect(data));
+        if (this.channel) {
+            this.channel.postMessage({ lastUpdated: data.lastUpdated });
         }
     }
 
-    cancelSelection() {
-        this.selectedItems = [];
-        this.selectionMode = false;
-        document.querySelectorAll('.selected').forEach(item => {
-            item.classList.remove('selected');
+    subscribe(onChange, onError) {
+        if (!this.channel) return () => {};
+
+        const listener = async () => {
+            try {
+                const data = await this.load();
+                if (data) onChange(data);
+            } catch (error) {
+                onError(error);
+            }
+        };
+        this.channel.addEventListener('message', listener);
+        return () => this.channel.removeEventListener('message', listener);
+    }
+
+    async listSnapshots() {
+        const entries = await vaultDB.entries('snapshots');
+        return entries.map(({ key, value }) => ({ id: key, ...value }));
+    }
+
+    async saveSnapshot(id, info, data) {
+        await vaultDB.put('snapshotData', id, data);
+        await vaultDB.put('snapshots', id, info);
+    }
+
+    async loadSnapshot(id) {
+        return (await vaultDB.get('snapshotData', id)) || null;
+    }
+
+    async deleteSnapshot(id) {
+        await vaultDB.delete('snapshots', id);
+        await vaultDB.delete('snapshotData', id);
+    }
+
+    status() {
+        return this.isReady()
+            ? { ready: true, text: 'Stored in this browser (IndexedDB)' }
+            : { ready: false, text: 'IndexedDB is not available in this browser' };
+    }
+}
+
+// Stores the vault as a JSON file through the GitHub contents API. The
+// token never leaves this device (see loadGitHubToken for where it's kept).
+class GitHubStorageAdapter {
+    constructor(config) {
+        this.config = {
+            owner: config.owner,
+            repo: config.repo,
+            branch: config.branch || 'main',
+            path: config.path || 'vault.json',
+            token: config.token
+        };
+        this.displayName = 'GitHub';
+        this.sha = null;
+        this.lastError = null;
+        this.pollInterval = 30000;
+    }
+
+    get url() {
+        const { owner, repo, path } = this.config;
+        const filePath = path.split('/').map(encodeURIComponent).join('/');
+        return `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contents/${filePath}`;
+    }
+
+    get headers() {
+        return {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': `Bearer ${this.config.token}`,
+            'X-GitHub-Api-Version': '2022-11-28'
+        };
+    }
+
+    isReady() {
+        return Boolean(this.config.owner && this.config.repo && this.config.token);
+    }
+
+    async fetchFile() {
+        const response = await fetch(`${this.url}?ref=${encodeURIComponent(this.config.branch)}`, {
+            headers: this.headers,
+            cache: 'no-store'
         });
-        document.getElementById('org-toolbar').style.display = 'none';
-        document.body.classList.remove('selection-mode');
-        
-        // Show mobile FAB
-        const fab = document.getElementById('mobile-fab');
-        if (fab) fab.style.display = 'block';
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`GitHub responded ${response.status}`);
+        }
+        return response.json();
     }
 
-    // DRAG & DROP
-    setupDragAndDrop() {
-        document.addEventListener('dragstart', (e) => {
-            const item = e.target.closest('.folder-item, .media-item');
-            if (item && this.selectedItems.length > 0) {
-                this.dragging = true;
-                e.dataTransfer.effectAllowed = 'move';
+    async load() {
+        try {
+            const file = await this.fetchFile();
+            this.lastError = null;
+            if (!file) {
+                this.sha = null;
+                return null;
             }
+            this.sha = file.sha;
+            return await vaultCipher.unprotect(JSON.parse(decodeBase64Utf8(file.content)));
+        } catch (error) {
+            this.lastError = error;
+            throw error;
+        }
+    }
+
+    async save(data) {
+        const response = await fetch(this.url, {
+            method: 'PUT',
+            headers: { ...this.headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message: `Update Media Vault (${data.lastUpdated})`,
+                content: encodeBase64Utf8(JSON.stringify(await vaultCipher.protect(data), null, 2)),
+                branch: this.config.branch,
+                ...(this.sha ? { sha: this.sha } : {})
+            })
         });
 
-        document.addEventListener('dragover', (e) => {
-            if (this.dragging) {
-                e.preventDefault();
-                const dropTarget = e.target.closest('.folder-item, .breadcrumb-item');
-                
-                document.querySelectorAll('.drop-zone').forEach(zone => {
-                    zone.classList.remove('drop-zone', 'active');
-                });
-                
-                if (dropTarget) {
-                    dropTarget.classList.add('drop-zone', 'active');
+        // Someone else committed since we last read the file
+        if (response.status === 409 || response.status === 422) {
+            throw new StorageConflictError();
+        }
+        if (!response.ok) {
+            this.lastError = new Error(`GitHub responded ${response.status}`);
+            throw this.lastError;
+        }
+
+        const result = await response.json();
+        this.sha = result.content.sha;
+        this.lastError = null;
+    }
+
+    // The contents API has no push channel, so poll for a new file sha
+    subscribe(onChange, onError) {
+        const timer = setInterval(async () => {
+            try {
+                const file = await this.fetchFile();
+                if (file && file.sha !== this.sha) {
+                    this.sha = file.sha;
+                    onChange(await vaultCipher.unprotect(JSON.parse(decodeBase64Utf8(file.content))));
                 }
+            } catch (error) {
+                onError(error);
             }
+        }, this.pollInterval);
+
+        return () => clearInterval(timer);
+    }
+
+    status() {
+        if (!this.isReady()) {
+            return { ready: false, text: 'GitHub owner, repository and token are required' };
+        }
+        const { owner, repo, branch, path } = this.config;
+        return this.lastError
+            ? { ready: false, text: `GitHub error: ${this.lastError.message}` }
+            : { ready: true, text: `${owner}/${repo}@${branch}:${path}` };
+    }
+}
+
+// THREE-WAY MERGE
+// Used when another device changed the vault while this one had edits of
+// its own. Both sides are compared against the last state the two had in
+// common (the base), field by field:
+//   - a field changed on one side only takes that side's value
+//   - a field changed to different values on both sides is a conflict;
+//     the other device's value is kept for now and the conflict is reported
+//   - deleting a record that the other side changed keeps the changed record
+//     and is reported too, so nothing is lost silently
+// Media items are keyed by folder and file ID. An item that one side moved
+// keeps the key it had in the base version (see trackMoves), so moving it on
+// one device and renaming it on another both survive.
+const vaultMerge = {
+    // Bookkeeping maps where the other device simply wins
+    quietFields: ['csvSources'],
+    // Per-save values that are never merged
+    transientFields: ['lastUpdated', 'version', 'userId', 'vaultId', 'layout'],
+    // Play history changed on both sides combines instead of conflicting:
+    // the later play wins and both devices' new plays are counted
+    tallyFields: {
+        lastPlayed: (l, r) => ((l || '') > (r || '') ? l : r),
+        playCount: (l = 0, r = 0, b = 0) => Math.max(0, l + r - b) || undefined
+    },
+
+    flatten(data) {
+        const records = new Map();
+        const order = { children: {}, media: {} };
+        const folderStructure = data.folderStructure || {};
+        const mediaData = data.mediaData || {};
+
+        Object.entries(folderStructure).forEach(([folderId, folder]) => {
+            const { children, ...fields } = folder;
+            records.set(`folder:${folderId}`, fields);
+            order.children[folderId] = (children || []).map(childId => `folder:${childId}`);
         });
 
-        document.addEventListener('drop', (e) => {
-            e.preventDefault();
-            if (!this.dragging) return;
-            
-            const dropTarget = e.target.closest('.folder-item, .breadcrumb-item');
-            let targetFolderId = null;
-            
-            if (dropTarget) {
-                if (dropTarget.classList.contains('folder-item')) {
-                    targetFolderId = dropTarget.getAttribute('data-folder-id');
-                } else if (dropTarget.classList.contains('breadcrumb-item')) {
-                    targetFolderId = dropTarget.getAttribute('data-folder');
-                }
-                
-                if (targetFolderId && targetFolderId !== this.currentFolder) {
-                    this.moveSelectedItemsToFolder(targetFolderId);
-                }
+        Object.keys(mediaData).forEach(folderId => {
+            const seen = {};
+            order.media[folderId] = (mediaData[folderId] || []).map(item => {
+                seen[item.id] = (seen[item.id] || 0) + 1;
+                const key = this.mediaKey(folderId, item.id, seen[item.id]);
+                records.set(key, { ...item, folderId: folderId });
+                return key;
+            });
+        });
+
+        Object.entries(data).forEach(([field, value]) => {
+            if (field === 'folderStructure' || field === 'mediaData' || this.transientFields.includes(field)) return;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                records.set(`meta:${field}`, { map: true });
+                Object.entries(value).forEach(([key, entry]) => records.set(`meta:${field}:${key}`, entry));
+            } else {
+                records.set(`meta:${field}`, { value: value });
             }
-            
-            this.cleanupDrag();
         });
 
-        document.addEventListener('dragend', () => {
-            this.cleanupDrag();
+        return { records, order };
+    },
+
+    // Copies of a file in other folders don't affect each other's keys; a
+    // file that is in one folder more than once gets #2, #3... there
+    mediaKey(folderId, id, copy = 1) {
+        return `media:${folderId}/${id}` + (copy > 1 ? `#${copy}` : '');
+    },
+
+    // Gives items that left one folder of the base and turned up in another
+    // on this side their base key again, pairing them by file ID
+    trackMoves(base, side) {
+        const gone = new Map();
+        base.records.forEach((record, key) => {
+            if (!key.startsWith('media:') || side.records.has(key)) return;
+            if (!gone.has(record.id)) gone.set(record.id, []);
+            gone.get(record.id).push(key);
         });
-    }
+        if (gone.size === 0) return side;
 
-    cleanupDrag() {
-        document.querySelectorAll('.drop-zone').forEach(zone => {
-            zone.classList.remove('drop-zone', 'active');
+        const moved = new Map();
+        side.records.forEach((record, key) => {
+            if (!key.startsWith('media:') || base.records.has(key)) return;
+            const from = gone.get(record.id);
+            if (from && from.length > 0) moved.set(key, from.shift());
         });
-        this.dragging = false;
-    }
+        if (moved.size === 0) return side;
 
-    async moveSelectedItemsToFolder(targetFolderId) {
-        if (!targetFolderId || this.selectedItems.length === 0) return;
+        const records = new Map([...side.records].map(([key, record]) => [moved.get(key) || key, record]));
+        const media = {};
+        Object.entries(side.order.media).forEach(([folderId, keys]) => {
+            media[folderId] = keys.map(key => moved.get(key) || key);
+        });
+        return { records, order: { ...side.order, media } };
+    },
 
-        this.selectedItems.forEach(item => {
-            if (item.type === 'media') {
-                const sourceFolder = item.folderId;
-                const mediaArray = this.mediaData[sourceFolder] || [];
-                const mediaIndex = mediaArray.findIndex(m => m.id === item.id);
-                
-                if (mediaIndex > -1) {
-                    const [mediaItem] = mediaArray.splice(mediaIndex, 1);
-                    if (!this.mediaData[targetFolderId]) {
-                        this.mediaData[targetFolderId] = [];
-                    }
-                    this.mediaData[targetFolderId].push(mediaItem);
-                }
-            } else if (item.type === 'folder') {
-                const folder = this.folderStructure[item.id];
-                if (folder && folder.parent !== targetFolderId) {
-                    const currentParent = this.folderStructure[folder.parent];
-                    if (currentParent && currentParent.children) {
-                        currentParent.children = currentParent.children.filter(id => id !== item.id);
-                    }
-                    
-                    folder.parent = targetFolderId;
-                    if (!this.folderStructure[targetFolderId].children) {
-                        this.folderStructure[targetFolderId].children = [];
+    same(a, b) {
+        return stableStringify(a) === stableStringify(b);
+    },
+
+    isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    merge(baseData, localData, remoteData) {
+        const base = this.flatten(baseData || {});
+        const local = this.trackMoves(base, this.flatten(localData));
+        const remote = this.trackMoves(base, this.flatten(remoteData));
+        const merged = new Map();
+        const conflicts = [];
+        const keys = new Set([...base.records.keys(), ...local.records.keys(), ...remote.records.keys()]);
+
+        keys.forEach(key => {
+            const b = base.records.get(key);
+            const l = local.records.get(key);
+            const r = remote.records.get(key);
+            const quiet = this.quietFields.some(field => key.startsWith(`meta:${field}:`));
+            const report = conflict => {
+                if (!quiet) conflicts.push({ key, ...conflict });
+            };
+
+            if (this.same(l, r)) {
+                if (l !== undefined) merged.set(key, l);
+            } else if (this.same(l, b)) {
+                if (r !== undefined) merged.set(key, r);
+            } else if (this.same(r, b)) {
+                if (l !== undefined) merged.set(key, l);
+            } else if (l === undefined || r === undefined) {
+                // Deleted on one side, changed on the other: keep the change
+                merged.set(key, l === undefined ? r : l);
+                report({ field: null, mine: l ?? null, theirs: r ?? null, kept: l === undefined ? 'theirs' : 'mine' });
+            } else if (this.isPlainObject(l) && this.isPlainObject(r)) {
+                const value = {};
+                const baseFields = this.isPlainObject(b) ? b : {};
+                new Set([...Object.keys(l), ...Object.keys(r), ...Object.keys(baseFields)]).forEach(field => {
+                    const lf = l[field];
+                    const rf = r[field];
+                    const bf = baseFields[field];
+                    let chosen;
+                    if (this.same(lf, rf) || this.same(rf, bf)) {
+                        chosen = lf;
+                    } else if (this.same(lf, bf)) {
+                        chosen = rf;
+                    } else if (key.startsWith('media:') && this.tallyFields[field]) {
+                        chosen = this.tallyFields[field](lf, rf, bf);
+                    } else {
+                        chosen = rf;
+                        report({ field, mine: lf ?? null, theirs: rf ?? null, kept: 'theirs' });
                     }
-                    this.folderStructure[targetFolderId].children.push(item.id);
-                }
+                    if (chosen !== undefined) value[field] = chosen;
+                });
+                merged.set(key, value);
+            } else {
+                merged.set(key, r);
+                report({ field: null, mine: l, theirs: r, kept: 'theirs' });
             }
         });
 
-        await this.saveDataToFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.cancelSelection();
-        this.showMessage(`Moved ${this.selectedItems.length} items successfully!`);
-    }
+        const data = this.build(merged, [remote, local], [local, remote, base], conflicts);
+        return { data, conflicts };
+    },
 
-    // MOBILE GESTURES
-    setupMobileGestures() {
-        if (window.innerWidth <= 768) {
-            this.setupMobileNavigation();
-            this.setupMobileFAB();
+    // Turns merged records back into vault data. orderHints decide item and
+    // subfolder order; sources are used to bring back a folder that was
+    // deleted on one side while the other side still put things in it.
+    build(records, orderHints, sources, conflicts = []) {
+        const folderStructure = {};
+        const mediaData = {};
+        const data = {};
+
+        const restoreFolder = (folderId, reason) => {
+            const key = `folder:${folderId}`;
+            const source = sources.find(version => version.records.has(key));
+            if (!source) return false;
+            records.set(key, source.records.get(key));
+            conflicts.push({ key, field: null, mine: source.records.get(key), theirs: null, kept: 'mine', restored: reason });
+            return true;
+        };
+
+        records.forEach((value, key) => {
+            if (key.startsWith('folder:')) {
+                folderStructure[key.slice(7)] = { ...value };
+            }
+        });
+        if (!folderStructure['root']) {
+            folderStructure['root'] = { name: 'Home', parent: null };
         }
-    }
 
-    setupMobileNavigation() {
-        const backBtn = document.getElementById('back-btn');
-        if (backBtn) {
-            backBtn.addEventListener('click', () => {
-                const current = this.folderStructure[this.currentFolder];
-                if (current && current.parent) {
-                    this.navigateToFolder(current.parent);
+        // Parents that no longer exist
+        let restored = true;
+        while (restored) {
+            restored = false;
+            Object.entries(folderStructure).forEach(([folderId, folder]) => {
+                // Trash sits beside Home rather than in it
+                if (folderId === 'root' || folderId === 'trash' || folderStructure[folder.parent]) return;
+                if (restoreFolder(folder.parent, 'subfolder')) {
+                    folderStructure[folder.parent] = { ...records.get(`folder:${folder.parent}`) };
+                    restored = true;
+                } else {
+                    folder.parent = 'root';
                 }
             });
         }
+
+        // Two devices moving folders into each other would make a loop
+        Object.entries(folderStructure).forEach(([folderId, folder]) => {
+            const seen = new Set([folderId]);
+            let current = folder.parent;
+            while (current && current !== 'root') {
+                if (seen.has(current)) {
+                    folder.parent = 'root';
+                    conflicts.push({ key: `folder:${folderId}`, field: 'parent', mine: null, theirs: null, kept: 'theirs', loop: true });
+                    break;
+                }
+                seen.add(current);
+                current = folderStructure[current] && folderStructure[current].parent;
+            }
+        });
+
+        records.forEach((value, key) => {
+            if (!key.startsWith('media:')) return;
+            const { folderId, ...item } = value;
+            if (!folderStructure[folderId]) {
+                if (restoreFolder(folderId, 'media')) {
+                    folderStructure[folderId] = { ...records.get(`folder:${folderId}`) };
+                    const parent = folderStructure[folderStructure[folderId].parent];
+                    if (!parent) folderStructure[folderId].parent = 'root';
+                } else {
+                    value.folderId = 'root';
+                }
+            }
+            const target = folderStructure[value.folderId] ? value.folderId : 'root';
+            (mediaData[target] = mediaData[target] || []).push({ key, item });
+        });
+
+        const orderBy = (entries, lists) => {
+            const rank = new Map();
+            lists.forEach(list => (list || []).forEach(key => {
+                if (!rank.has(key)) rank.set(key, rank.size);
+            }));
+            return entries
+                .map((entry, index) => ({ entry, index, rank: rank.has(entry.key) ? rank.get(entry.key) : Infinity }))
+                .sort((a, b) => a.rank - b.rank || a.index - b.index)
+                .map(({ entry }) => entry);
+        };
+
+        Object.keys(folderStructure).forEach(folderId => {
+            const children = Object.entries(folderStructure)
+                .filter(([childId, child]) => childId !== 'root' && child.parent === folderId)
+                .map(([childId]) => ({ key: `folder:${childId}`, childId }));
+            folderStructure[folderId].children = orderBy(children, orderHints.map(hint => hint.order.children[folderId]))
+                .map(entry => entry.childId);
+        });
+
+        // Moved items were merged under their old key; conflicts about them
+        // are reported under the key they have in the data built here
+        const builtKeys = new Map();
+        Object.keys(folderStructure).forEach(folderId => {
+            const entries = mediaData[folderId] || [];
+            const seen = {};
+            mediaData[folderId] = orderBy(entries, orderHints.map(hint => hint.order.media[folderId]))
+                .map(entry => {
+                    seen[entry.item.id] = (seen[entry.item.id] || 0) + 1;
+                    builtKeys.set(entry.key, this.mediaKey(folderId, entry.item.id, seen[entry.item.id]));
+                    return entry.item;
+                });
+        });
+        conflicts.forEach(conflict => {
+            if (builtKeys.has(conflict.key)) conflict.key = builtKeys.get(conflict.key);
+        });
+
+        records.forEach((value, key) => {
+            if (!key.startsWith('meta:')) return;
+            const [, field, ...rest] = key.split(':');
+            if (rest.length === 0) {
+                if (value.map) {
+                    data[field] = data[field] || {};
+                } else {
+                    data[field] = value.value;
+                }
+            } else {
+                (data[field] = data[field] || {})[rest.join(':')] = value;
+            }
+        });
+
+        return { ...data, folderStructure, mediaData };
     }
+};
 
-    setupMobileFAB() {
-        const fab = document.getElementById('mobile-fab');
-        const fabMain = fab.querySelector('.fab-main');
-        const fabMenu = fab.querySelector('.fab-menu');
+// MEDIA PROVIDERS
+// Where an item's file lives. Items store provider next to id; items saved
+// before there was a choice have none and are Google Drive. Each provider:
+//   detect(link)          { id, type } for links it recognises, else null;
+//                         type only when the link itself says
+//   link(id)              a URL that detect() turns back into the same id
+//                         (isValidMediaId relies on this)
+//   thumbnail(id, type)   preview image URL, or null for a placeholder
+//   image(id)             full-size image for the lightbox
+//   player(id)            { embed: url } for an iframe, { src: url } for <video>
+// detectMediaLink tries them in the order listed, so the catch-alls come last.
+const MEDIA_EXTENSIONS = {
+    video: ['mp4', 'm4v', 'webm', 'mov', 'ogv', 'ogg'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'bmp']
+};
+
+function parseMediaUrl(link) {
+    try {
+        const url = new URL(link);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function mediaTypeFromPath(pathname) {
+    const extension = (pathname.split('.').pop() || '').toLowerCase();
+    return Object.keys(MEDIA_EXTENSIONS).find(type => MEDIA_EXTENSIONS[type].includes(extension)) || null;
+}
+
+const MEDIA_PROVIDERS = {
+    youtube: {
+        name: 'YouTube',
+        detect(link) {
+            const url = parseMediaUrl(link);
+            if (!url) return null;
+            const host = url.hostname.replace(/^(www|m|music)\./, '');
+            let id = null;
+            if (host === 'youtu.be') {
+                id = url.pathname.slice(1);
+            } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+                id = url.searchParams.get('v') || (url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/]+)/) || [])[1];
+            }
+            return id && /^[A-Za-z0-9_-]{11}$/.test(id) ? { id, type: 'video' } : null;
+        },
+        link: id => `https://www.youtube.com/watch?v=${id}`,
+        thumbnail: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+        image: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+        player: id => ({ embed: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1` })
+    },
+
+    // The id is the share link without its dl/raw switch
+    dropbox: {
+        name: 'Dropbox',
+        detect(link) {
+            const url = parseMediaUrl(link);
+            if (!url || !/(^|\.)dropbox\.com$/.test(url.hostname) || !/^\/(s|sh|scl)\//.test(url.pathname)) return null;
+            url.searchParams.delete('dl');
+            url.searchParams.delete('raw');
+            url.hostname = 'www.dropbox.com';
+            url.hash = '';
+            return { id: url.toString(), type: mediaTypeFromPath(url.pathname) };
+        },
+        raw(id) {
+            const url = new URL(id);
+            url.searchParams.set('raw', '1');
+            return url.toString();
+        },
+        link: id => id,
+        thumbnail(id, type) {
+            return type === 'image' ? this.raw(id) : null;
+        },
+        image(id) {
+            return this.raw(id);
+        },
+        player(id) {
+            return { src: this.raw(id) };
+        }
+    },
+
+    // Personal OneDrive sharing links; the public shares API serves the file
+    onedrive: {
+        name: 'OneDrive',
+        detect(link) {
+            const url = parseMediaUrl(link);
+            if (!url || !/^(1drv\.ms|onedrive\.live\.com)$/.test(url.hostname)) return null;
+            url.hash = '';
+            return { id: url.toString(), type: mediaTypeFromPath(url.pathname) };
+        },
+        share(id, path) {
+            const token = encodeBase64Bytes(new TextEncoder().encode(id))
+                .replace(/=+$/, '').replace(/\//g, '_').replace(/\+/g, '-');
+            return `https://api.onedrive.com/v1.0/shares/u!${token}/root/${path}`;
+        },
+        link: id => id,
+        thumbnail(id) {
+            return this.share(id, 'thumbnails/0/medium/content');
+        },
+        image(id) {
+            return this.share(id, 'content');
+        },
+        player(id) {
+            return { src: this.share(id, 'content') };
+        }
+    },
+
+    // Any http(s) URL whose path ends in a video or image extension
+    direct: {
+        name: 'Direct link',
+        detect(link) {
+            const url = parseMediaUrl(link);
+            const type = url && mediaTypeFromPath(url.pathname);
+            if (!type) return null;
+            url.hash = '';
+            return { id: url.toString(), type };
+        },
+        link: id => id,
+        thumbnail: (id, type) => type === 'image' ? id : null,
+        image: id => id,
+        player: id => ({ src: id })
+    },
+
+    // Last: besides links on Google's hosts it accepts a bare file ID
+    gdrive: {
+        name: 'Google Drive',
+        detect(link) {
+            const patterns = [
+                /\/file\/d\/([^\/]+)/,
+                /id=([^&]+)/,
+                /\/d\/([^\/]+)/,
+                /\/view\?usp=sharing/
+            ];
+
+            // If it's already just an ID (no URL structure)
+            if (link.length === 33 && /^[A-Za-z0-9_-]+$/.test(link)) {
+                return { id: link, type: null };
+            }
+            const url = parseMediaUrl(link);
+            if (url && !/(^|\.)(drive|docs)\.google\.com$/.test(url.hostname)) {
+                return null;
+            }
+
+            for (const pattern of patterns) {
+                const match = link.match(pattern);
+                if (match && match[1]) {
+                    return /^[A-Za-z0-9_-]+$/.test(match[1]) ? { id: match[1], type: null } : null;
+                }
+            }
+
+            return null;
+        },
+        link: id => `https://drive.google.com/file/d/${id}/view`,
+        thumbnail: id => `https://drive.google.com/thumbnail?id=${id}&sz=w400`,
+        image: id => `https://drive.google.com/thumbnail?id=${id}&sz=w2000`,
+        player: id => ({ embed: `https://drive.google.com/file/d/${id}/preview` })
+    }
+};
+
+// link -> { provider, id, type } or null
+function detectMediaLink(link) {
+    const text = String(link || '').trim();
+    for (const [provider, source] of Object.entries(MEDIA_PROVIDERS)) {
+        const found = text && source.detect(text);
+        if (found) return { provider, ...found };
+    }
+    return null;
+}
+
+// Stored ids are only trusted if their provider would have made them from
+// a link, so an id edited into a backup or synced from another device can't
+// point a player at another host or break out of an attribute
+function isValidMediaId(provider, id) {
+    const source = MEDIA_PROVIDERS[provider || 'gdrive'];
+    if (!source || typeof id !== 'string' || !id) return false;
+    const found = source.detect(source.link(id));
+    return Boolean(found) && found.id === id;
+}
+
+// FUZZY SEARCH
+// Every word of the query has to match somewhere in the text: as a plain
+// substring (best, more so at the start of a word), as letters in order
+// ("bkbd" finds "Bake Bread"), or, for longer words, with one typo.
+// score() returns 0 for no match; higher is better.
+const fuzzyMatch = {
+    normalize(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    words(text) {
+        return this.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+    },
+
+    score(query, text) {
+        const haystack = this.normalize(text);
+        const terms = this.words(query);
+        if (!terms.length) return 0;
+
+        let total = 0;
+        for (const term of terms) {
+            const termScore = this.scoreTerm(term, haystack);
+            if (!termScore) return 0;
+            total += termScore;
+        }
+        return total;
+    },
+
+    scoreTerm(term, haystack) {
+        const index = haystack.indexOf(term);
+        if (index !== -1) {
+            const atWordStart = index === 0 || /[^a-z0-9]/.test(haystack[index - 1]);
+            return 100 + (atWordStart ? 50 : 0) + term.length;
+        }
+
+        // Letters in order; tight runs score higher than scattered ones
+        let position = -1;
+        let gaps = 0;
+        for (const char of term) {
+            const next = haystack.indexOf(char, position + 1);
+            if (next === -1) {
+                gaps = -1;
+                break;
+            }
+            if (position !== -1) gaps += next - position - 1;
+            position = next;
+        }
+        if (gaps !== -1 && gaps <= term.length * 3) {
+            return Math.max(10, 60 - gaps * 2);
+        }
+
+        if (term.length >= 4 && this.words(haystack).some(word => this.withinOneEdit(term, word))) {
+            return 40;
+        }
+        return 0;
+    },
+
+    // Levenshtein distance <= 1 (one insertion, deletion or substitution)
+    withinOneEdit(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return false;
+        let i = 0;
+        let j = 0;
+        let edits = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                i++;
+                j++;
+                continue;
+            }
+            if (++edits > 1) return false;
+            if (a.length > b.length) i++;
+            else if (a.length < b.length) j++;
+            else {
+                i++;
+                j++;
+            }
+        }
+        return edits + (a.length - i) + (b.length - j) <= 1;
+    }
+};
+
+// SAFE HTML
+// Titles, folder names, tags and ids can come from a CSV file, a backup or
+// another device, so none of them may ever be parsed as markup. Views are
+// built with the html tag, which escapes every interpolated value unless it
+// is itself an html result (or an array of them):
+//   list.innerHTML = html`<li data-id="${id}">${items.map(item => html`<b>${item.name}</b>`)}</li>`;
+// Escaped values are safe as text and inside quoted attributes. Ids that end
+// up in URLs are checked with isValidMediaId as well.
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function html(strings, ...values) {
+    const render = value => value instanceof SafeHtml ? value.markup
+        : Array.isArray(value) ? value.map(render).join('')
+        : escapeHtml(value);
+    return new SafeHtml(strings.reduce((markup, text, index) => markup + render(values[index - 1]) + text));
+}
+
+// ACCESS CODE
+// The code is never stored, only a salted PBKDF2 hash of it (mv_access).
+// Unlocking starts a session (mv_session) that expires after the idle
+// timeout, so a closed tab doesn't stay unlocked forever. Failed attempts
+// lock the form for longer and longer (mv_login_attempts).
+const accessLock = {
+    iterations: 310000,
+    minLength: 4,
+    freeAttempts: 5,
+    baseLockout: 30 * 1000,
+    maxLockout: 60 * 60 * 1000,
+    defaults: { idleMinutes: 15, lockWhenHidden: true },
+
+    read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            return null;
+        }
+    },
+
+    hasCode() {
+        const record = this.read('mv_access');
+        return !!(record && record.hash && record.salt);
+    },
+
+    settings() {
+        return { ...this.defaults, ...(this.read('mv_access') || {}).settings };
+    },
+
+    saveSettings(settings) {
+        const record = this.read('mv_access') || {};
+        localStorage.setItem('mv_access', JSON.stringify({ ...record, settings: { ...this.settings(), ...settings } }));
+    },
+
+    async derive(code, salt, iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(code), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, key, 256);
+        return encodeBase64Bytes(new Uint8Array(bits));
+    },
+
+    async setCode(code) {
+        if (code.length < this.minLength) {
+            throw new Error(`The access code needs at least ${this.minLength} characters`);
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const record = this.read('mv_access') || {};
+        localStorage.setItem('mv_access', JSON.stringify({
+            ...record,
+            salt: encodeBase64Bytes(salt),
+            iterations: this.iterations,
+            hash: await this.derive(code, salt, this.iterations)
+        }));
+    },
+
+    async verify(code) {
+        const record = this.read('mv_access');
+        if (!record || !record.hash) return false;
+        const salt = decodeBase64Bytes(record.salt);
+        const hash = await this.derive(code, salt, record.iterations || this.iterations);
+        // Compare every character so timing doesn't reveal how much matched
+        let difference = hash.length ^ record.hash.length;
+        for (let i = 0; i < hash.length; i++) {
+            difference |= hash.charCodeAt(i) ^ record.hash.charCodeAt(i % record.hash.length);
+        }
+        return difference === 0;
+    },
+
+    // Milliseconds until the form unlocks again, 0 when attempts are allowed
+    lockoutRemaining() {
+        const attempts = this.read('mv_login_attempts');
+        return attempts && attempts.lockedUntil ? Math.max(0, attempts.lockedUntil - Date.now()) : 0;
+    },
+
+    // Checks a code against the lockout and the stored hash. Returns
+    // { ok } or { ok: false, message } ready to show under the form.
+    async attempt(code) {
+        const remaining = this.lockoutRemaining();
+        if (remaining > 0) {
+            return { ok: false, message: `Too many attempts. Try again in ${this.formatWait(remaining)}.` };
+        }
+
+        if (await this.verify(code)) {
+            localStorage.removeItem('mv_login_attempts');
+            return { ok: true };
+        }
+
+        const failures = ((this.read('mv_login_attempts') || {}).failures || 0) + 1;
+        const record = { failures };
+        if (failures >= this.freeAttempts) {
+            // 30 s, 1 min, 2 min, ... up to an hour
+            const wait = Math.min(this.baseLockout * 2 ** (failures - this.freeAttempts), this.maxLockout);
+            record.lockedUntil = Date.now() + wait;
+            localStorage.setItem('mv_login_attempts', JSON.stringify(record));
+            return { ok: false, message: `Incorrect access code. Locked for ${this.formatWait(wait)}.` };
+        }
+        localStorage.setItem('mv_login_attempts', JSON.stringify(record));
+        const left = this.freeAttempts - failures;
+        return { ok: false, message: `Incorrect access code. ${left} attempt${left === 1 ? '' : 's'} left.` };
+    },
+
+    formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return seconds < 60 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
+    },
+
+    startSession() {
+        localStorage.removeItem('mv_isLoggedIn');
+        this.touch();
+    },
+
+    // Pushes the idle deadline back; called on user activity
+    touch() {
+        const expires = Date.now() + this.settings().idleMinutes * 60 * 1000;
+        localStorage.setItem('mv_session', JSON.stringify({ expires }));
+    },
+
+    isUnlocked() {
+        const session = this.read('mv_session');
+        return !!(session && session.expires > Date.now() && this.hasCode());
+    },
+
+    endSession() {
+        localStorage.removeItem('mv_session');
+    }
+};
+
+class MediaVaultCloud {
+    constructor() {
+        this.currentFolder = 'root';
+        this.selectedItems = [];
+        this.folderStructure = {};
+        this.mediaData = {};
+        this.csvSources = {};
+        // File ID -> folders it was deliberately kept in (see DUPLICATES)
+        this.allowedDuplicates = {};
+        // Playlist id -> { name, items: [file IDs], created } (see PLAYLISTS)
+        this.playlists = {};
+        // What the video player steps through while it's open
+        this.playQueue = null;
+        this.openPlaylist = null;
+        this.selectionMode = false;
+        // Items are remembered by itemKey() so a rebuilt view keeps them (see KEYBOARD)
+        this.selectionAnchor = null;
+        this.keyboardCursor = null;
+        // What the media grid shows and which part of it is in the DOM (see MEDIA GRID)
+        this.mediaGrid = {
+            viewId: null,
+            frame: null,
+            cells: [],
+            rows: null,
+            columns: 0,
+            heights: new Map(),
+            itemHeight: 200,
+            headerHeight: 36,
+            rendered: new Map(),
+            frameRequest: null
+        };
+        this.dragging = false;
+        this.currentVideo = null;
+        this.longPressTimer = null;
+        // Plays not saved yet, one { id, folderId, at, count } per item (see WATCH HISTORY)
+        this.pendingPlays = [];
+        this.playTimer = null;
+        this.playSaveDelay = 10000;
+        this.searchQuery = '';
+        this.searchScopeFolder = 'root';
+        this.searchResultLimit = 200;
+        this.editingSmartFolder = null;
+        // Parsed lines of a batch import while its preview is showing
+        this.batchRows = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.appStarted = false;
+        this.snapshotPolicy = { hourly: 24, daily: 30 };
+        this.snapshotList = null;
+        this.openSnapshot = null;
+        this.takingSnapshot = false;
+        this.syncing = false;
+        this.isOnline = navigator.onLine;
+        this.syncBase = null;
+        this.latestRemote = null;
+        this.conflicts = [];
+        this.pendingOperations = 0;
+        this.replaying = false;
+        // Set while the backend holds data encrypted with a key we don't have
+        this.vaultKeyError = null;
         
-        fabMain.addEventListener('click', () => {
-            fabMain.classList.toggle('active');
-            fabMenu.style.display = fabMenu.style.display === 'flex' ? 'none' : 'flex';
-        });
+        // Storage backend (see STORAGE ADAPTERS)
+        this.storageConfig = this.loadStorageConfig();
+        this.storage = null;
+        this.unsubscribe = null;
+
+        // Firebase instance
+        this.db = null;
+        this.userId = null;
+        this.firebaseReady = null;
         
-        fabMenu.addEventListener('click', (e) => {
-            const button = e.target.closest('button');
-            if (button) {
-                const action = button.getAttribute('data-action');
-                fabMain.classList.remove('active');
-                fabMenu.style.display = 'none';
-                
-                if (action === 'create-folder') {
-                    this.showCreateFolderModal();
-                } else if (action === 'add-link') {
-                    this.showAddMediaModal();
-                } else if (action === 'select-mode') {
-                    // Just enable selection mode
-                    this.selectionMode = true;
-                    document.body.classList.add('selection-mode');
-                    fab.style.display = 'none';
+        if (this.storageConfig.backend === 'firestore') {
+            // Initialize Firebase
+            this.initializeFirebase().catch(() => {});
+        } else {
+            this.storage = this.createStorageAdapter(this.storageConfig);
+        }
+        
+        // Only initialize if we're logged in
+        const isLoggedIn = accessLock.isUnlocked();
+        if (isLoggedIn && document.getElementById('gallery-section').style.display !== 'none') {
+            this.initializeApp();
+        }
+    }
+
+    // Resolves once Firebase has an (anonymous) user
+    initializeFirebase() {
+        if (this.firebaseReady) return this.firebaseReady;
+
+        this.firebaseReady = new Promise((resolve, reject) => {
+            try {
+                if (typeof firebase === 'undefined') {
+                    throw new Error('Firebase SDK not loaded');
                 }
+
+                // Initialize Firebase with config from index.html
+                firebase.initializeApp(firebaseConfig);
+                
+                // Initialize Firestore
+                this.db = firebase.firestore();
+                
+                // Listen for auth state changes
+                firebase.auth().onAuthStateChanged(async (user) => {
+                    if (user) {
+                        this.userId = user.uid;
+                        console.log('Firebase user:', user.uid);
+                        resolve(user);
+
+                        if (this.storageConfig.backend !== 'firestore') return;
+
+                        this.storage = new FirestoreStorageAdapter(this.db, this.getVaultId());
+                        this.updateSyncStatus('connected', 'Connected to Firebase');
+                        this.registerDevice();
+                        
+                        // Load data if logged in
+                        const isLoggedIn = accessLock.isUnlocked();
+                        if (isLoggedIn && !window.mediaVaultInitialized) {
+                            await this.loadData();
+                            this.startRealtimeUpdates();
+                            if (window.mediaVaultInitialized) {
+                                this.buildFolderUI(this.currentFolder);
+                            }
+                        }
+                    } else {
+                        // Sign in anonymously
+                        await this.signInAnonymously();
+                    }
+                });
+                
+            } catch (error) {
+                console.error('Firebase initialization error:', error);
+                this.updateSyncStatus('error', 'Firebase connection failed');
+                reject(error);
+            }
+        });
+
+        return this.firebaseReady;
+    }
+
+    async signInAnonymously() {
+        try {
+            const result = await firebase.auth().signInAnonymously();
+            this.userId = result.user.uid;
+            this.updateSyncStatus('connected', 'Connected anonymously');
+        } catch (error) {
+            console.error('Anonymous sign-in failed:', error);
+            this.updateSyncStatus('error', 'Sign-in failed');
+        }
+    }
+
+    async initializeApp() {
+        if (this.storage instanceof GitHubStorageAdapter && !this.storage.config.token) {
+            this.storage.config.token = await this.loadGitHubToken();
+        }
+
+        // Wait for the storage backend to be ready
+        if (!this.storage || !this.storage.isReady()) {
+            if (this.storageConfig.backend === 'firestore' || !this.storage) {
+                setTimeout(() => this.initializeApp(), 500);
+                return;
+            }
+            // A misconfigured local or GitHub backend won't get better by waiting
+            await this.loadFromLocalBackup();
+        } else {
+            await this.loadData();
+            this.startRealtimeUpdates();
+        }
+        
+        // Listeners are bound to this instance for the life of the page;
+        // logging in again after logout() resumes it instead of making another
+        this.appStarted = true;
+        this.setupEventListeners();
+        this.setupSelectionSystem();
+        this.setupDragAndDrop();
+        this.setupMobileGestures();
+        this.buildFolderUI('root');
+        this.setupNetworkListener();
+        this.setupAutoLock();
+        this.checkPairingLink();
+
+        // Changes queued while offline in an earlier session
+        await this.refreshPendingCount();
+        if (this.pendingOperations > 0 && this.isOnline) {
+            this.replayOperationQueue();
+        }
+
+        // One after the other: both save
+        this.purgeExpiredTrash()
+            .catch(error => console.error('Purging the Trash failed:', error))
+            .then(() => this.migrateProviders())
+            .catch(error => console.error('Migrating media providers failed:', error));
+
+        // Pick up new or changed files in csv/ without blocking the UI
+        this.importCsvFolders().then(report => {
+            if (report.added > 0) {
+                this.showMessage(`Imported ${report.added} item(s) from CSV`);
+            }
+        }).catch(error => console.error('CSV auto-import failed:', error));
+    }
+
+    // STORAGE BACKEND SELECTION
+    loadStorageConfig() {
+        try {
+            const config = JSON.parse(localStorage.getItem('mv_storage') || '{}');
+            return {
+                backend: STORAGE_BACKENDS[config.backend] ? config.backend : 'firestore',
+                github: config.github || {}
+            };
+        } catch (error) {
+            return { backend: 'firestore', github: {} };
+        }
+    }
+
+    // The GitHub token is kept apart from mv_storage: in sessionStorage for
+    // this session only, or if remembered in localStorage, sealed with the
+    // vault key while encryption is on
+    async loadGitHubToken() {
+        const stored = sessionStorage.getItem('mv_github_token') || localStorage.getItem('mv_github_token');
+        if (!stored) return '';
+        try {
+            return await vaultCipher.unprotect(JSON.parse(stored));
+        } catch (error) {
+            console.error('Could not read the GitHub token:', error);
+            return '';
+        }
+    }
+
+    async storeGitHubToken(token, remember) {
+        sessionStorage.removeItem('mv_github_token');
+        localStorage.removeItem('mv_github_token');
+        if (!token) return;
+        if (remember) {
+            localStorage.setItem('mv_github_token', JSON.stringify(await vaultCipher.protect(token)));
+        } else {
+            sessionStorage.setItem('mv_github_token', JSON.stringify(token));
+        }
+    }
+
+    // A remembered token is sealed with the vault key, so it has to be
+    // sealed again whenever that key changes
+    async resealGitHubToken() {
+        if (this.storage instanceof GitHubStorageAdapter && localStorage.getItem('mv_github_token')) {
+            await this.storeGitHubToken(this.storage.config.token, true);
+        }
+    }
+
+    createStorageAdapter(config) {
+        switch (config.backend) {
+            case 'local':
+                return new IndexedDBStorageAdapter();
+            case 'github':
+                return new GitHubStorageAdapter(config.github);
+            default:
+                return this.db && this.userId ? new FirestoreStorageAdapter(this.db, this.getVaultId()) : null;
+        }
+    }
+
+    // DATA MANAGEMENT (through the selected storage adapter)
+    async loadData() {
+        try {
+            if (!this.storage || !this.storage.isReady()) {
+                console.log('Storage not ready yet');
+                return;
+            }
+            
+            this.updateSyncStatus('syncing', 'Loading data...');
+            
+            const data = await this.storage.load();
+            this.vaultKeyError = null;
+            
+            if (data) {
+                this.applyVaultData(data);
+                this.setSyncBase(data);
+                this.updateSyncStatus('synced', `Data loaded from ${this.storage.displayName}`);
+                console.log('Data loaded from', this.storageConfig.backend);
+            } else {
+                // First time user - create default structure
+                this.applyVaultData({});
+                this.syncBase = null;
+                await this.saveData();
+                this.updateSyncStatus('synced', 'New vault created');
+                console.log('Created new vault in', this.storageConfig.backend);
+            }
+            
+        } catch (error) {
+            console.error('Error loading data:', error);
+            // Fallback to local storage backup
+            await this.loadFromLocalBackup();
+            if (!this.folderStructure.root) {
+                this.applyVaultData({});
             }
+            if (!this.noteVaultKeyError(error)) {
+                this.updateSyncStatus('error', 'Failed to load data');
+            }
+        }
+    }
+
+    async saveData() {
+        if (!this.storage || !this.storage.isReady()) {
+            console.log('Storage not ready, saving to local backup');
+            this.saveToLocalBackup();
+            return false;
+        }
+
+        // Writing now would replace the encrypted vault with what we have here
+        if (this.vaultKeyError) {
+            console.log('Vault is locked, saving to local backup');
+            this.saveToLocalBackup();
+            return false;
+        }
+        
+        try {
+            this.syncing = true;
+            this.updateSyncStatus('syncing', 'Saving changes...');
+
+            // Never write over changes this device hasn't merged yet
+            if (this.latestRemote) {
+                this.mergeRemoteData(this.latestRemote);
+            }
+            
+            let data = this.getSaveData();
+            try {
+                await this.storage.save(data);
+            } catch (error) {
+                if (!(error instanceof StorageConflictError)) throw error;
+                // The backend changed underneath us: merge and write once more
+                this.mergeRemoteData(await this.storage.load());
+                data = this.getSaveData();
+                await this.storage.save(data);
+            }
+            this.setSyncBase(data);
+            this.takeSnapshot(data);
+            
+            // Also save to local backup
+            this.saveToLocalBackup(data.lastUpdated);
+            
+            this.syncing = false;
+            this.updateSyncStatus('synced', `Changes saved to ${this.storage.displayName}`);
+            console.log('Data saved to', this.storageConfig.backend);
+            this.renderConflicts();
+
+            // A remote update that arrived while saving
+            if (this.latestRemote) {
+                this.handleRemoteData(this.latestRemote);
+            }
+            return true;
+            
+        } catch (error) {
+            console.error('Error saving data:', error);
+            this.syncing = false;
+            this.updateSyncStatus('error', 'Failed to save changes');
+            
+            // Save to local backup as fallback
+            this.saveToLocalBackup();
+            return false;
+        }
+    }
+
+    getSaveData() {
+        return {
+            ...this.getVaultData(),
+            lastUpdated: new Date().toISOString(),
+            version: '1.0'
+        };
+    }
+
+    startRealtimeUpdates() {
+        if (!this.storage || !this.storage.isReady()) return;
+        
+        try {
+            this.unsubscribe = this.storage.subscribe(
+                (data) => this.handleRemoteData(data),
+                (error) => {
+                    if (!this.noteVaultKeyError(error)) {
+                        console.error('Realtime update error:', error);
+                        this.updateSyncStatus('error', 'Realtime sync interrupted');
+                    }
+                }
+            );
+            
+        } catch (error) {
+            console.error('Failed to start realtime updates:', error);
+        }
+    }
+
+    // SYNC MERGING
+    // The last vault state this device and the backend agreed on; remote
+    // changes are merged against it (see THREE-WAY MERGE)
+    setSyncBase(data) {
+        this.syncBase = JSON.parse(JSON.stringify(data));
+    }
+
+    handleRemoteData(data) {
+        // Our own save coming back, or something already merged
+        if (this.syncBase && data.lastUpdated === this.syncBase.lastUpdated) {
+            if (this.latestRemote === data) this.latestRemote = null;
+            return;
+        }
+
+        this.latestRemote = data;
+        // saveData merges it before writing
+        if (this.syncing) return;
+
+        // Queued offline changes are replayed on top of the latest remote
+        if (this.pendingOperations > 0) {
+            this.replayOperationQueue();
+            return;
+        }
+
+        console.log('Receiving update from another device');
+        const changedHere = this.mergeRemoteData(data);
+        this.saveToLocalBackup(data.lastUpdated);
+        this.buildFolderUI(this.currentFolder);
+        this.updateSyncStatus('synced', 'Synced with other devices');
+        this.showMessage('Changes updated from another device!');
+        this.renderConflicts();
+
+        // Edits from this device that the other device doesn't have yet
+        if (changedHere) {
+            this.saveData();
+        }
+    }
+
+    // Merges remote data into the vault in place. Returns true when the result
+    // still differs from the remote copy, i.e. it has to be saved back.
+    mergeRemoteData(remote) {
+        const local = this.getVaultData();
+        const { data, conflicts } = vaultMerge.merge(this.syncBase, local, remote);
+
+        this.applyVaultData(data);
+        this.setSyncBase(remote);
+        this.latestRemote = null;
+        this.addConflicts(conflicts);
+
+        const fingerprint = vault => {
+            const copy = { ...vault };
+            vaultMerge.transientFields.forEach(field => delete copy[field]);
+            return stableStringify(copy);
+        };
+        return fingerprint(data) !== fingerprint(remote);
+    }
+
+    // CONFLICTS
+    addConflicts(conflicts) {
+        conflicts.forEach(conflict => {
+            // A newer conflict on the same field replaces the older one
+            this.conflicts = this.conflicts.filter(existing =>
+                existing.key !== conflict.key || existing.field !== conflict.field);
+            this.conflicts.push({ ...conflict, at: new Date().toISOString() });
+        });
+    }
+
+    describeConflict(conflict) {
+        const [kind, id] = [conflict.key.split(':')[0], conflict.key.split(':').slice(1).join(':')];
+        // Whole-record conflicts carry the record; field conflicts only the value
+        const record = conflict.field === null ? (conflict.mine || conflict.theirs || {}) : {};
+        // Media keys are folderId/fileId (see vaultMerge.mediaKey)
+        const mediaFolder = id.slice(0, id.indexOf('/'));
+        const mediaId = id.slice(id.indexOf('/') + 1).replace(/#\d+$/, '');
+        const current = kind === 'folder'
+            ? this.folderStructure[id]
+            : (this.mediaData[mediaFolder] || []).find(item => item.id === mediaId);
+        const name = kind === 'folder'
+            ? `folder "${record.name || (current || {}).name || id}"`
+            : kind === 'media'
+                ? `"${record.title || (current || {}).title || mediaId}"`
+                : `setting "${id}"`;
+
+        const fieldNames = { title: 'Name', name: 'Name', folderId: 'Location', parent: 'Location', type: 'Type' };
+        const show = (value) => {
+            if (value === null || value === undefined) return 'Deleted';
+            if (conflict.field === 'folderId' || conflict.field === 'parent') {
+                return this.getFolderPath(value).map(folder => folder.name).join(' / ') || value;
+            }
+            return typeof value === 'object' ? 'Changed' : String(value);
+        };
+
+        if (conflict.loop) {
+            return { text: `Moving ${name} would have put it inside itself, so it was moved to Home`, choices: false };
+        }
+        if (conflict.restored) {
+            return {
+                text: `${this.capitalizeFirst(name)} was deleted on another device, but this device still added to it, so it was kept`,
+                mine: 'Keep folder',
+                theirs: 'Deleted',
+                choices: true
+            };
+        }
+        if (conflict.field === null) {
+            return {
+                text: `${this.capitalizeFirst(name)} was deleted on one device and changed on the other`,
+                mine: show(conflict.mine),
+                theirs: show(conflict.theirs),
+                choices: true
+            };
+        }
+        return {
+            text: `${fieldNames[conflict.field] || conflict.field} of ${name} was changed on both devices`,
+            mine: show(conflict.mine),
+            theirs: show(conflict.theirs),
+            choices: true
+        };
+    }
+
+    renderConflicts() {
+        const bar = document.getElementById('conflict-bar');
+        if (!bar) return;
+
+        bar.style.display = this.conflicts.length > 0 ? 'flex' : 'none';
+        document.getElementById('conflict-count').textContent =
+            `${this.conflicts.length} sync conflict${this.conflicts.length === 1 ? '' : 's'} need${this.conflicts.length === 1 ? 's' : ''} your attention`;
+
+        const list = document.getElementById('conflict-list');
+        list.innerHTML = this.conflicts.map((conflict, index) => {
+            const description = this.describeConflict(conflict);
+            const button = (choice, label) => html`
+                <button class="btn-secondary ${conflict.kept === choice ? 'conflict-kept' : ''}"
+                        data-index="${index}" data-choice="${choice}">
+                    ${label}: ${description[choice]}
+                </button>
+            `;
+            return html`
+                <li class="conflict-item">
+                    <p>${description.text}</p>
+                    <div class="conflict-choices">
+                        ${description.choices
+                            ? [button('mine', 'This device'), button('theirs', 'Other device')]
+                            : html`<button class="btn-secondary" data-index="${index}" data-choice="${conflict.kept}">OK</button>`}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        if (this.conflicts.length === 0) {
+            this.hideConflictsModal();
+        }
+    }
+
+    showConflictsModal() {
+        this.renderConflicts();
+        document.getElementById('conflicts-modal').classList.add('active');
+    }
+
+    hideConflictsModal() {
+        document.getElementById('conflicts-modal').classList.remove('active');
+    }
+
+    async resolveConflict(index, choice) {
+        const conflict = this.conflicts[index];
+        if (!conflict) return;
+        this.conflicts.splice(index, 1);
+
+        if (choice !== conflict.kept) {
+            await this.commitOperation({
+                type: 'resolveConflict',
+                key: conflict.key,
+                field: conflict.field,
+                value: choice === 'mine' ? conflict.mine : conflict.theirs
+            });
+            this.buildFolderUI(this.folderStructure[this.currentFolder] ? this.currentFolder : 'root');
+        }
+
+        this.renderConflicts();
+    }
+
+    // LOCAL BACKUP (fallback when offline)
+    saveToLocalBackup(lastUpdated = new Date().toISOString()) {
+        const data = JSON.parse(JSON.stringify({
+            ...this.getVaultData(),
+            lastUpdated: lastUpdated
+        }));
+        // Encrypting is async; chain the writes so an older backup never lands last
+        this.backupWrite = (this.backupWrite || Promise.resolve())
+            .then(() => vaultCipher.protect(data))
+            .then(stored => localStorage.setItem('mv_local_backup', JSON.stringify(stored)))
+            .catch(error => console.error('Error saving local backup:', error));
+        return this.backupWrite;
+    }
+
+    async loadFromLocalBackup() {
+        const backup = localStorage.getItem('mv_local_backup');
+        if (backup) {
+            try {
+                this.applyVaultData(await vaultCipher.unprotect(JSON.parse(backup)));
+                this.updateSyncStatus('offline', 'Using local backup (offline)');
+                console.log('Loaded from local backup');
+            } catch (error) {
+                console.error('Error loading from backup:', error);
+            }
+        }
+    }
+
+    // SYNC STATUS MANAGEMENT
+    updateSyncStatus(status, message) {
+        const syncBar = document.getElementById('sync-status-bar');
+        const syncIcon = document.getElementById('sync-icon');
+        const syncText = document.getElementById('sync-text');
+        
+        if (!syncBar) return;
+        
+        syncBar.className = 'sync-status-bar ' + status;
+        
+        const icons = {
+            syncing: '🔄',
+            synced: '✓',
+            error: '⚠️',
+            offline: '📴',
+            connected: '☁️'
+        };
+        
+        syncIcon.textContent = icons[status] || '☁️';
+        syncText.textContent = message;
+    }
+
+    setupNetworkListener() {
+        window.addEventListener('online', () => {
+            this.isOnline = true;
+            this.updateSyncStatus('syncing', 'Reconnecting...');
+            setTimeout(() => {
+                if (this.pendingOperations > 0) {
+                    this.replayOperationQueue();
+                } else {
+                    this.updateSyncStatus('synced', 'Back online');
+                }
+            }, 1000);
+        });
+        
+        window.addEventListener('offline', () => {
+            this.isOnline = false;
+            this.updateSyncStatus('offline', 'Offline - changes saved locally');
+        });
+    }
+
+    // OFFLINE OPERATION QUEUE
+    // Every edit is an operation: it is applied locally right away and then
+    // saved. When the backend can't be reached it goes into the IndexedDB
+    // 'operations' store instead, and on reconnect the queue is replayed in
+    // order on top of the latest remote vault rather than pushing our stale
+    // snapshot over it.
+    async commitOperation(operation, options = {}) {
+        operation = { ...operation, at: new Date().toISOString() };
+        if (!options.undoing) {
+            this.recordHistory(operation, options);
+        }
+        this.applyOperation(operation);
+
+        // The local backend works without a connection
+        const reachable = this.isOnline || this.storageConfig.backend === 'local';
+        if (this.pendingOperations === 0 && reachable) {
+            if (await this.saveData()) return;
+            await this.queueOperation(operation);
+            return;
+        }
+
+        await this.queueOperation(operation);
+        if (reachable) {
+            this.replayOperationQueue();
+        } else {
+            this.updateSyncStatus('offline', 'Offline - changes queued');
+        }
+    }
+
+    async queueOperation(operation) {
+        this.saveToLocalBackup();
+        try {
+            await vaultDB.add('operations', await vaultCipher.protect(operation));
+        } catch (error) {
+            // The local backup still has the change
+            console.error('Could not queue change:', error);
+        }
+        await this.refreshPendingCount();
+    }
+
+    async refreshPendingCount() {
+        try {
+            this.pendingOperations = await vaultDB.count('operations');
+        } catch (error) {
+            this.pendingOperations = 0;
+        }
+
+        const pending = document.getElementById('sync-pending');
+        if (pending) {
+            pending.textContent = this.pendingOperations > 0 ? `${this.pendingOperations} pending` : '';
+            pending.style.display = this.pendingOperations > 0 ? 'inline-block' : 'none';
+        }
+    }
+
+    async replayOperationQueue() {
+        if (this.replaying || this.vaultKeyError || !this.storage || !this.storage.isReady()) return;
+        this.replaying = true;
+
+        let replayed = false;
+        try {
+            const remote = await this.storage.load();
+            // Read after loading so edits made meanwhile are included
+            const queued = await vaultDB.entries('operations');
+            if (queued.length === 0) return;
+            for (const entry of queued) {
+                entry.value = await vaultCipher.unprotect(entry.value);
+            }
+
+            this.updateSyncStatus('syncing', `Replaying ${queued.length} offline change(s)...`);
+            this.applyVaultData(remote ? JSON.parse(JSON.stringify(remote)) : {});
+            queued.forEach(({ value }) => this.applyOperation(value));
+            this.syncBase = remote ? JSON.parse(JSON.stringify(remote)) : null;
+            this.latestRemote = null;
+
+            if (await this.saveData()) {
+                // Operations queued while saving stay for the next round
+                await vaultDB.delete('operations', IDBKeyRange.upperBound(queued[queued.length - 1].key));
+                replayed = true;
+                this.showMessage(`Synced ${queued.length} offline change(s)`);
+            }
+            this.buildFolderUI(this.folderStructure[this.currentFolder] ? this.currentFolder : 'root');
+        } catch (error) {
+            console.error('Replaying offline changes failed:', error);
+            if (!this.noteVaultKeyError(error)) {
+                this.updateSyncStatus('error', 'Offline changes not synced yet');
+            }
+        } finally {
+            this.replaying = false;
+            await this.refreshPendingCount();
+        }
+
+        if (replayed && this.pendingOperations > 0) {
+            this.replayOperationQueue();
+        } else if (replayed && this.latestRemote) {
+            this.handleRemoteData(this.latestRemote);
+        }
+    }
+
+    // Replays must not depend on the state the operation was recorded in, so
+    // every step checks that its targets still exist and is safe to repeat
+    applyOperation(operation) {
+        const folders = this.folderStructure;
+        const findMedia = (item) => (this.mediaData[item.folderId] || []).findIndex(m => m.id === item.id);
+
+        switch (operation.type) {
+            case 'createFolder': {
+                if (folders[operation.folderId]) break;
+                // The parent may have been deleted on another device
+                const parentId = folders[operation.parent] ? operation.parent : 'root';
+                folders[operation.folderId] = { name: operation.name, parent: parentId, children: [] };
+                if (operation.smart) folders[operation.folderId].smart = operation.smart;
+                folders[parentId].children = [...(folders[parentId].children || []), operation.folderId];
+                this.mediaData[operation.folderId] = this.mediaData[operation.folderId] || [];
+                break;
+            }
+            case 'addMedia': {
+                const folderId = folders[operation.folderId] ? operation.folderId : 'root';
+                const items = this.mediaData[folderId] || [];
+                operation.items.forEach(item => {
+                    if (!items.some(m => m.id === item.id && m.added === item.added)) {
+                        items.push({ ...item });
+                    }
+                });
+                this.mediaData[folderId] = items;
+                break;
+            }
+            case 'move': {
+                const target = folders[operation.target];
+                if (!target || target.smart) break;
+                operation.items.forEach(item => {
+                    if (item.type === 'media') {
+                        const index = findMedia(item);
+                        if (index > -1 && item.folderId !== operation.target) {
+                            const [mediaItem] = this.mediaData[item.folderId].splice(index, 1);
+                            this.mediaData[operation.target] = [...(this.mediaData[operation.target] || []), mediaItem];
+                        }
+                        return;
+                    }
+
+                    const folder = folders[item.id];
+                    if (!folder || folder.parent === operation.target || this.isFolderWithin(operation.target, item.id)) {
+                        return;
+                    }
+                    const currentParent = folders[folder.parent];
+                    if (currentParent && currentParent.children) {
+                        currentParent.children = currentParent.children.filter(id => id !== item.id);
+                    }
+                    folder.parent = operation.target;
+                    target.children = [...(target.children || []), item.id];
+                });
+                break;
+            }
+            case 'rename': {
+                const { item, name } = operation;
+                if (item.type === 'folder') {
+                    if (folders[item.id]) folders[item.id].name = name;
+                } else {
+                    const index = findMedia(item);
+                    if (index > -1) this.mediaData[item.folderId][index].title = name;
+                }
+                break;
+            }
+            case 'delete':
+                operation.items.forEach(item => {
+                    if (item.type === 'media') {
+                        if (this.mediaData[item.folderId]) {
+                            this.mediaData[item.folderId] = this.mediaData[item.folderId].filter(m => m.id !== item.id);
+                        }
+                    } else {
+                        this.deleteFolder(item.id);
+                    }
+                });
+                break;
+            case 'trash': {
+                const bin = this.ensureTrash();
+                const pathText = folderId => this.getFolderPath(folderId).map(part => part.name).join(' / ');
+                // Undoing a restore passes the original trashed details back in
+                operation.items.forEach(item => {
+                    if (item.type === 'media') {
+                        if (!this.mediaData[item.folderId] || this.isInTrash(item.folderId)) return;
+                        const trashed = item.trashed || { at: operation.at, from: item.folderId, path: pathText(item.folderId) };
+                        this.mediaData[item.folderId] = this.mediaData[item.folderId].filter(media => {
+                            if (media.id !== item.id) return true;
+                            this.mediaData['trash'].push({ ...media, trashed });
+                            return false;
+                        });
+                        return;
+                    }
+
+                    // Folders go in whole, subfolders and media included
+                    const folder = folders[item.id];
+                    if (!folder || item.id === 'root' || this.isInTrash(item.id)) return;
+                    const parent = folders[folder.parent];
+                    if (parent && parent.children) {
+                        parent.children = parent.children.filter(id => id !== item.id);
+                    }
+                    folder.trashed = item.trashed || { at: operation.at, from: folder.parent, path: pathText(folder.parent) };
+                    folder.parent = 'trash';
+                    bin.children = [...(bin.children || []), item.id];
+                });
+                break;
+            }
+            case 'restoreFromTrash': {
+                const bin = folders['trash'];
+                if (!bin) break;
+                // Folders first, so items from a folder restored alongside go back into it
+                const items = [...operation.items].sort((a, b) => (a.type === 'folder' ? 0 : 1) - (b.type === 'folder' ? 0 : 1));
+                items.forEach(item => {
+                    if (item.type === 'media') {
+                        const index = (this.mediaData['trash'] || []).findIndex(media => media.id === item.id && media.added === item.added);
+                        if (index === -1) return;
+                        const [media] = this.mediaData['trash'].splice(index, 1);
+                        const target = this.trashDestination(media.trashed, operation.target);
+                        delete media.trashed;
+                        this.mediaData[target] = [...(this.mediaData[target] || []), media];
+                        return;
+                    }
+
+                    const folder = folders[item.id];
+                    if (!folder || folder.parent !== 'trash') return;
+                    const target = this.trashDestination(folder.trashed, operation.target);
+                    bin.children = (bin.children || []).filter(id => id !== item.id);
+                    folder.parent = target;
+                    delete folder.trashed;
+                    folders[target].children = [...(folders[target].children || []), item.id];
+                });
+                break;
+            }
+            case 'purge':
+                operation.items.forEach(item => {
+                    if (item.type === 'media') {
+                        if (this.mediaData['trash']) {
+                            this.mediaData['trash'] = this.mediaData['trash'].filter(media => !(media.id === item.id && media.added === item.added));
+                        }
+                    } else if (folders[item.id] && folders[item.id].parent === 'trash') {
+                        this.deleteFolder(item.id);
+                    }
+                });
+                break;
+            case 'setTrashRetention':
+                this.trashRetention = operation.days;
+                break;
+            case 'tag': {
+                const remove = operation.remove.map(tag => tag.toLowerCase());
+                operation.items.forEach(item => {
+                    const index = findMedia(item);
+                    if (index === -1) return;
+                    const media = this.mediaData[item.folderId][index];
+                    const kept = (media.tags || []).filter(tag => !remove.includes(tag.toLowerCase()));
+                    const tags = this.normalizeTags([...kept, ...operation.add]);
+                    if (tags.length) {
+                        media.tags = tags;
+                    } else {
+                        delete media.tags;
+                    }
+                });
+                break;
+            }
+            case 'setView': {
+                const folder = folders[operation.folderId];
+                if (!folder) break;
+                if (operation.view) {
+                    folder.view = operation.view;
+                } else {
+                    delete folder.view;
+                }
+                break;
+            }
+            case 'played':
+                // A play stamped at lastPlayed is already counted
+                operation.plays.forEach(play => {
+                    const index = findMedia(play);
+                    if (index === -1) return;
+                    const media = this.mediaData[play.folderId][index];
+                    if (media.lastPlayed === play.at) return;
+                    if (!media.lastPlayed || media.lastPlayed < play.at) {
+                        media.lastPlayed = play.at;
+                    }
+                    media.playCount = (media.playCount || 0) + play.count;
+                });
+                break;
+            case 'setHistory':
+                operation.items.forEach(item => {
+                    const index = findMedia(item);
+                    if (index === -1) return;
+                    const media = this.mediaData[item.folderId][index];
+                    ['lastPlayed', 'playCount'].forEach(field => {
+                        if (item[field]) {
+                            media[field] = item[field];
+                        } else {
+                            delete media[field];
+                        }
+                    });
+                });
+                break;
+            case 'setHistoryPaused':
+                this.historyPaused = operation.paused;
+                break;
+            case 'migrateProviders':
+                Object.values(this.mediaData).forEach(items => items.forEach(item => {
+                    if (!item.provider) item.provider = 'gdrive';
+                }));
+                break;
+            case 'dedupe': {
+                // Keeps one copy of the file (the one in keep.folderId added at
+                // keep.added, or the first copy left there) and drops the rest
+                const copies = this.findCopies(operation.id);
+                if (copies.length === 0) break;
+                const kept = copies.find(copy => copy.folderId === operation.keep.folderId && copy.item.added === operation.keep.added)
+                    || copies.find(copy => copy.folderId === operation.keep.folderId)
+                    || copies[0];
+                copies.forEach(copy => {
+                    if (copy !== kept) {
+                        this.mediaData[copy.folderId] = this.mediaData[copy.folderId].filter(item => item !== copy.item);
+                    }
+                });
+                if (operation.title) kept.item.title = operation.title;
+                if (operation.tags) {
+                    if (operation.tags.length) {
+                        kept.item.tags = operation.tags;
+                    } else {
+                        delete kept.item.tags;
+                    }
+                }
+                delete this.allowedDuplicates[operation.id];
+                break;
+            }
+            case 'allowDuplicate':
+                if (operation.folders) {
+                    this.allowedDuplicates[operation.id] = operation.folders;
+                } else {
+                    delete this.allowedDuplicates[operation.id];
+                }
+                break;
+            case 'setPlaylist':
+                if (operation.playlist) {
+                    this.playlists[operation.id] = operation.playlist;
+                } else {
+                    delete this.playlists[operation.id];
+                }
+                break;
+            case 'batch':
+                operation.operations.forEach(step => this.applyOperation(step));
+                break;
+            case 'editSmartFolder': {
+                const folder = folders[operation.folderId];
+                if (!folder || !folder.smart) break;
+                folder.name = operation.name;
+                folder.smart = operation.smart;
+                break;
+            }
+            case 'restoreFolder': {
+                // Puts a folder and its subfolders back the way a snapshot had
+                // them; whatever is in them now that the snapshot didn't have
+                // goes to the Trash
+                const { folderId } = operation;
+                const saved = operation.data.folderStructure;
+                const savedMedia = operation.data.mediaData || {};
+                if (!saved[folderId] || folderId === 'root' || folderId === 'trash') break;
+
+                const inPlace = folders[folderId] && !this.isInTrash(folderId);
+                if (inPlace) {
+                    const extras = [];
+                    Object.keys(folders).forEach(id => {
+                        if (id !== folderId && !saved[id] && saved[folders[id].parent] && this.isFolderWithin(id, folderId)) {
+                            extras.push({ type: 'folder', id });
+                        }
+                    });
+                    Object.keys(saved).forEach(id => {
+                        const ids = new Set((this.mediaData[id] || [])
+                            .filter(media => !(savedMedia[id] || []).some(item => item.id === media.id))
+                            .map(media => media.id));
+                        ids.forEach(mediaId => extras.push({ type: 'media', id: mediaId, folderId: id }));
+                    });
+                    if (extras.length) {
+                        this.applyOperation({ type: 'trash', at: operation.at, items: extras });
+                    }
+                }
+
+                // The folder stays where it is now; if it's gone or trashed (or
+                // now inside one of its old subfolders) it goes back to its
+                // old parent, or Home
+                const oldParent = saved[folderId].parent;
+                const parentId = inPlace && !saved[folders[folderId].parent]
+                    ? folders[folderId].parent
+                    : folders[oldParent] && !folders[oldParent].smart && !this.isInTrash(oldParent) ? oldParent : 'root';
+
+                Object.keys(saved).forEach(id => {
+                    const current = folders[id];
+                    if (current && folders[current.parent]) {
+                        folders[current.parent].children = (folders[current.parent].children || []).filter(child => child !== id);
+                    }
+                });
+                Object.entries(saved).forEach(([id, folder]) => {
+                    folders[id] = { ...JSON.parse(JSON.stringify(folder)), children: (folder.children || []).filter(child => saved[child]) };
+                });
+                folders[folderId].parent = parentId;
+                folders[parentId].children = [...(folders[parentId].children || []), folderId];
+
+                // Items moved elsewhere (or to the Trash) since then come back
+                // rather than being copied
+                const restored = Object.values(savedMedia).flat();
+                Object.keys(this.mediaData).forEach(id => {
+                    if (saved[id]) return;
+                    this.mediaData[id] = this.mediaData[id].filter(media =>
+                        !restored.some(item => item.id === media.id && item.added === media.added));
+                });
+                Object.keys(saved).forEach(id => {
+                    this.mediaData[id] = JSON.parse(JSON.stringify(savedMedia[id] || []));
+                });
+                break;
+            }
+            case 'resolveConflict': {
+                // Puts back the picked version of one vaultMerge.flatten()
+                // record, or of one field of it; null removes it
+                const { key, field, value } = operation;
+                const folderId = key.startsWith('folder:') ? key.slice(7) : null;
+                if (folderId && field === null && value === null) {
+                    this.deleteFolder(folderId);
+                    break;
+                }
+                const flat = vaultMerge.flatten(this.getVaultData());
+                if (field === null) {
+                    if (value === null) {
+                        flat.records.delete(key);
+                    } else {
+                        flat.records.set(key, value);
+                    }
+                } else if (flat.records.has(key)) {
+                    const record = { ...flat.records.get(key) };
+                    if (value === null) {
+                        delete record[field];
+                    } else {
+                        record[field] = value;
+                    }
+                    flat.records.set(key, record);
+                }
+                this.applyVaultData(vaultMerge.build(flat.records, [flat], []));
+                break;
+            }
+            case 'importCsv':
+                operation.files.forEach(({ file, signature, records }) => {
+                    this.importCsvRecords(file, records, operation.at);
+                    this.csvSources[file] = { signature, importedAt: operation.at };
+                });
+                break;
+            case 'restore':
+                if (operation.mode === 'replace') {
+                    this.applyVaultData(JSON.parse(JSON.stringify(operation.data)));
+                } else {
+                    this.mergeVaultData(JSON.parse(JSON.stringify(operation.data)));
+                }
+                break;
+            default:
+                console.warn('Unknown operation:', operation.type);
+        }
+    }
+
+    // UNDO / REDO
+    // Before an edit is applied, recordHistory works out the operation that
+    // reverses it from the current state. Undoing commits that inverse like
+    // any other edit, so it syncs and queues offline; redoing commits the
+    // original again. Operations skip targets that are gone, so this stays
+    // safe when another device changed things in between.
+    recordHistory(operation, options) {
+        const inverse = this.invertOperation(operation);
+        if (!inverse) return;
+
+        const label = options.message || this.describeOperation(operation);
+        this.undoStack.push({ operation, inverse, label });
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        if (!options.redoing) {
+            this.redoStack = [];
+        }
+        this.updateHistoryButtons();
+
+        // Changing a folder's view happens too often for a toast
+        if (operation.type !== 'setView') {
+            this.showMessage(label, 'success', { label: 'Undo', run: () => this.undo() });
+        }
+    }
+
+    describeOperation(operation) {
+        const count = (operation.items || []).length;
+        switch (operation.type) {
+            case 'createFolder': return `Created "${operation.name}"`;
+            case 'addMedia': return `Added ${count} item(s)`;
+            case 'move': return `Moved ${count} item(s)`;
+            case 'rename': return `Renamed to "${operation.name}"`;
+            case 'delete': return `Deleted ${count} item(s)`;
+            case 'trash': return `Moved ${count} item(s) to Trash`;
+            case 'restoreFromTrash': return `Restored ${count} item(s)`;
+            case 'tag': return `Updated tags on ${count} item(s)`;
+            case 'setView': return 'Changed folder view';
+            case 'editSmartFolder': return `Updated "${operation.name}"`;
+            case 'dedupe': return 'Resolved duplicate';
+            case 'allowDuplicate': return 'Kept copies in all folders';
+            case 'setHistory': return `Cleared play history of ${count} item(s)`;
+            case 'setPlaylist': return operation.playlist ? `Saved playlist "${operation.playlist.name}"` : 'Deleted playlist';
+            case 'restore': return 'Replaced the vault';
+            default: return 'Change';
+        }
+    }
+
+    // Returns null for operations that can't or needn't be undone
+    invertOperation(operation) {
+        const folders = this.folderStructure;
+        const copy = value => JSON.parse(JSON.stringify(value));
+        const findMedia = item => (this.mediaData[item.folderId] || []).find(m => m.id === item.id);
+        // Everything a delete would remove, as data a merge-restore puts back
+        const collect = (items) => {
+            const data = { folderStructure: {}, mediaData: {} };
+            items.forEach(item => {
+                if (item.type === 'media') {
+                    const copies = (this.mediaData[item.folderId] || []).filter(m => m.id === item.id);
+                    if (copies.length) {
+                        data.mediaData[item.folderId] = [...(data.mediaData[item.folderId] || []), ...copy(copies)];
+                    }
+                    return;
+                }
+                Object.keys(folders).forEach(folderId => {
+                    if (!this.isFolderWithin(folderId, item.id)) return;
+                    data.folderStructure[folderId] = copy(folders[folderId]);
+                    data.mediaData[folderId] = copy(this.mediaData[folderId] || []);
+                });
+            });
+            return data;
+        };
+
+        switch (operation.type) {
+            case 'createFolder':
+                return { type: 'delete', items: [{ id: operation.folderId, type: 'folder' }] };
+            case 'addMedia': {
+                const folderId = folders[operation.folderId] ? operation.folderId : 'root';
+                const added = operation.items.filter(item => !findMedia({ id: item.id, folderId }));
+                if (!added.length) return null;
+                return { type: 'delete', items: added.map(item => ({ id: item.id, type: 'media', folderId })) };
+            }
+            case 'move':
+                return {
+                    type: 'batch',
+                    operations: operation.items.map(item => item.type === 'media'
+                        ? { type: 'move', items: [{ ...item, folderId: operation.target }], target: item.folderId }
+                        : { type: 'move', items: [item], target: folders[item.id] ? folders[item.id].parent : 'root' })
+                };
+            case 'rename': {
+                const { item } = operation;
+                const current = item.type === 'folder' ? folders[item.id]?.name : findMedia(item)?.title;
+                return current === undefined ? null : { type: 'rename', item, name: current };
+            }
+            case 'delete':
+                return { type: 'restore', mode: 'merge', data: collect(operation.items) };
+            case 'trash': {
+                const items = [];
+                operation.items.forEach(item => {
+                    if (item.type === 'media') {
+                        (this.mediaData[item.folderId] || [])
+                            .filter(media => media.id === item.id)
+                            .forEach(media => items.push({ type: 'media', id: media.id, added: media.added }));
+                    } else if (folders[item.id] && !this.isInTrash(item.id)) {
+                        items.push({ type: 'folder', id: item.id });
+                    }
+                });
+                return items.length ? { type: 'restoreFromTrash', items, target: null } : null;
+            }
+            case 'restoreFromTrash': {
+                const items = operation.items.map(item => {
+                    if (item.type === 'folder') {
+                        const folder = folders[item.id];
+                        return folder && folder.parent === 'trash' && { type: 'folder', id: item.id, trashed: copy(folder.trashed) };
+                    }
+                    const media = (this.mediaData['trash'] || []).find(m => m.id === item.id && m.added === item.added);
+                    return media && {
+                        type: 'media', id: media.id, trashed: copy(media.trashed),
+                        folderId: this.trashDestination(media.trashed, operation.target)
+                    };
+                }).filter(Boolean);
+                return items.length ? { type: 'trash', items } : null;
+            }
+            case 'tag':
+                return {
+                    type: 'batch',
+                    operations: operation.items.map(item => {
+                        const before = findMedia(item)?.tags || [];
+                        return { type: 'tag', items: [item], add: [...before], remove: [...before, ...operation.add] };
+                    })
+                };
+            case 'setView': {
+                const folder = folders[operation.folderId];
+                return folder ? { type: 'setView', folderId: operation.folderId, view: folder.view ? copy(folder.view) : null } : null;
+            }
+            case 'editSmartFolder': {
+                const folder = folders[operation.folderId];
+                return folder ? { type: 'editSmartFolder', folderId: operation.folderId, name: folder.name, smart: copy(folder.smart) } : null;
+            }
+            case 'dedupe': {
+                const copies = this.findCopies(operation.id);
+                const items = copies.map(({ folderId, item }) => ({ type: 'media', id: item.id, folderId }));
+                return {
+                    type: 'batch',
+                    operations: [
+                        { type: 'restore', mode: 'merge', data: collect(items) },
+                        ...copies.map(({ folderId, item }, index) => ({ type: 'rename', item: items[index], name: item.title })),
+                        ...copies.map(({ item }, index) => ({
+                            type: 'tag', items: [items[index]], add: [...(item.tags || [])], remove: operation.tags || []
+                        })),
+                        { type: 'allowDuplicate', id: operation.id, folders: this.allowedDuplicates[operation.id] || null }
+                    ]
+                };
+            }
+            case 'allowDuplicate':
+                return { type: 'allowDuplicate', id: operation.id, folders: this.allowedDuplicates[operation.id] || null };
+            case 'setHistory':
+                return {
+                    type: 'setHistory',
+                    items: operation.items.map(item => {
+                        const media = findMedia(item);
+                        return { id: item.id, folderId: item.folderId, lastPlayed: media?.lastPlayed || null, playCount: media?.playCount || null };
+                    })
+                };
+            case 'setPlaylist':
+                return { type: 'setPlaylist', id: operation.id, playlist: this.playlists[operation.id] ? copy(this.playlists[operation.id]) : null };
+            case 'restore':
+                return operation.mode === 'replace' ? { type: 'restore', mode: 'replace', data: copy(this.getVaultData()) } : null;
+            default:
+                return null;
+        }
+    }
+
+    async undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry) return;
+
+        // A folder that filled up since it was created would take its contents with it
+        if (entry.operation.type === 'createFolder') {
+            const folderId = entry.operation.folderId;
+            const contents = Object.keys(this.folderStructure)
+                .filter(id => id !== folderId && this.isFolderWithin(id, folderId)).length +
+                Object.keys(this.mediaData)
+                    .filter(id => this.isFolderWithin(id, folderId))
+                    .reduce((sum, id) => sum + this.mediaData[id].length, 0);
+            if (contents > 0 && !confirm(`"${entry.operation.name}" now holds ${contents} item(s). Undoing deletes them too. Continue?`)) {
+                return;
+            }
+        }
+
+        this.undoStack.pop();
+        this.redoStack.push(entry);
+        this.updateHistoryButtons();
+
+        const saved = this.commitOperation(entry.inverse, { undoing: true });
+        this.cancelSelection();
+        this.buildFolderUI(this.currentFolder);
+        this.showMessage(`Undone: ${entry.label}`, 'success', { label: 'Redo', run: () => this.redo() });
+        await saved;
+    }
+
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return;
+
+        const saved = this.commitOperation(entry.operation, { redoing: true, message: entry.label });
+        this.cancelSelection();
+        this.buildFolderUI(this.currentFolder);
+        await saved;
+    }
+
+    updateHistoryButtons() {
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+        if (!undoButton || !redoButton) return;
+
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+        undoButton.disabled = !lastUndo;
+        redoButton.disabled = !lastRedo;
+        undoButton.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // True when folderId is ancestorId or one of its subfolders
+    isFolderWithin(folderId, ancestorId) {
+        const seen = new Set();
+        while (folderId && !seen.has(folderId)) {
+            if (folderId === ancestorId) return true;
+            seen.add(folderId);
+            folderId = this.folderStructure[folderId] ? this.folderStructure[folderId].parent : null;
+        }
+        return false;
+    }
+
+    // DATA MANAGEMENT
+    getDefaultFolderStructure() {
+        return {
+            'root': { 
+                name: 'Home', 
+                children: [], 
+                parent: null 
+            }
+        };
+    }
+
+    getDefaultMediaData() {
+        return {};
+    }
+
+    // Everything that lives in the vault document, in one place so the
+    // cloud doc, the local backup and realtime updates stay in step
+    getVaultData() {
+        return {
+            folderStructure: this.folderStructure,
+            mediaData: this.mediaData,
+            csvSources: this.csvSources,
+            allowedDuplicates: this.allowedDuplicates,
+            playlists: this.playlists,
+            trashRetention: this.trashRetention,
+            historyPaused: this.historyPaused
+        };
+    }
+
+    applyVaultData(data) {
+        this.folderStructure = data.folderStructure || this.getDefaultFolderStructure();
+        this.mediaData = data.mediaData || this.getDefaultMediaData();
+        this.csvSources = data.csvSources || {};
+        this.allowedDuplicates = data.allowedDuplicates || {};
+        this.playlists = data.playlists || {};
+        this.trashRetention = this.isValidRetention(data.trashRetention) ? data.trashRetention : 30;
+        this.historyPaused = Boolean(data.historyPaused);
+    }
+
+    // UTILITY METHODS
+    sanitizeId(name) {
+        return name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+    }
+
+    // Cheap content fingerprint (djb2), only used to notice changed files
+    hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(16) + ':' + text.length;
+    }
+
+    capitalizeFirst(string) {
+        return string.charAt(0).toUpperCase() + string.slice(1);
+    }
+
+    // See MEDIA PROVIDERS
+    mediaProvider(item) {
+        return MEDIA_PROVIDERS[item.provider] || MEDIA_PROVIDERS.gdrive;
+    }
+
+    // action is an optional { label, run } shown as a button on the toast
+    showMessage(text, type = 'success', action = null) {
+        // A new toast replaces the last one, so an Undo button is never hidden
+        document.querySelectorAll('.status-message').forEach(old => old.remove());
+
+        const message = document.createElement('div');
+        message.className = `status-message`;
+        message.style.background = type === 'error' ? 'var(--danger)' : 
+                                 type === 'warning' ? 'var(--warning)' : 'var(--success)';
+        message.textContent = text;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'status-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                message.remove();
+                action.run();
+            });
+            message.appendChild(button);
+        }
+
+        document.body.appendChild(message);
+        
+        setTimeout(() => {
+            if (message.parentNode) {
+                message.parentNode.removeChild(message);
+            }
+        }, action ? 6000 : 3000);
+    }
+
+    // SELECTION SYSTEM
+    setupSelectionSystem() {
+        document.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        document.addEventListener('mouseup', () => this.handleMouseUp());
+        document.addEventListener('mousemove', () => this.handleMouseMove());
+        
+        document.addEventListener('touchstart', (e) => this.handleTouchStart(e));
+        document.addEventListener('touchend', () => this.handleTouchEnd());
+        document.addEventListener('touchmove', () => this.handleTouchMove());
+        
+        document.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    handleMouseDown(e) {
+        const item = e.target.closest('.folder-item, .media-item');
+        if (item && !this.selectionMode) {
+            this.longPressTimer = setTimeout(() => {
+                this.enterSelectionMode(item);
+            }, 500);
+        }
+    }
+
+    handleMouseUp() {
+        this.clearLongPressTimer();
+    }
+
+    handleMouseMove() {
+        this.clearLongPressTimer();
+    }
+
+    handleTouchStart(e) {
+        const item = e.target.closest('.folder-item, .media-item');
+        if (item && !this.selectionMode) {
+            this.longPressTimer = setTimeout(() => {
+                this.enterSelectionMode(item);
+            }, 500);
+        }
+    }
+
+    handleTouchEnd() {
+        this.clearLongPressTimer();
+    }
+
+    handleTouchMove() {
+        this.clearLongPressTimer();
+    }
+
+    handleClick(e) {
+        if (this.selectionMode) {
+            const item = e.target.closest('.folder-item, .media-item');
+            if (item && !e.target.closest('.folder-option-btn')) {
+                this.toggleItemSelection(item);
+                this.selectionAnchor = this.itemKey(item);
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }
+    }
+
+    clearLongPressTimer() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    enterSelectionMode(initialItem = null) {
+        this.selectionMode = true;
+        document.body.classList.add('selection-mode');
+        if (initialItem) this.toggleItemSelection(initialItem);
+        
+        // Hide mobile FAB when in selection mode
+        const fab = document.getElementById('mobile-fab');
+        if (fab) fab.style.display = 'none';
+    }
+
+    toggleItemSelection(item) {
+        const ref = this.refFromElement(item);
+
+        if (item.classList.contains('selected')) {
+            item.classList.remove('selected');
+            this.selectedItems = this.selectedItems.filter(selected => this.refKey(selected) !== this.refKey(ref));
+        } else {
+            item.classList.add('selected');
+            this.selectedItems.push(ref);
+        }
+
+        this.updateSelectionToolbar();
+    }
+
+    // Replaces the selection, including items the grid hasn't rendered
+    setSelection(refs) {
+        this.cancelSelection();
+        if (!refs.length) return;
+        this.selectedItems = refs.slice();
+        this.enterSelectionMode();
+        this.updateSelectionToolbar();
+        this.applyItemStates();
+    }
+
+    refFromElement(item) {
+        return {
+            id: item.getAttribute('data-media-id') || item.getAttribute('data-folder-id'),
+            type: item.getAttribute('data-type'),
+            folderId: item.getAttribute('data-folder-id') || this.currentFolder
+        };
+    }
+
+    refKey(ref) {
+        return `${ref.type}:${ref.folderId}:${ref.id}`;
+    }
+
+    updateSelectionToolbar() {
+        const toolbar = document.getElementById('org-toolbar');
+        if (!toolbar) return;
+        
+        if (this.selectedItems.length > 0) {
+            toolbar.style.display = 'flex';
+        } else {
+            toolbar.style.display = 'none';
+            this.selectionMode = false;
+            document.body.classList.remove('selection-mode');
+            
+            // Show mobile FAB again
+            const fab = document.getElementById('mobile-fab');
+            if (fab) fab.style.display = 'block';
+        }
+    }
+
+    cancelSelection() {
+        this.selectedItems = [];
+        this.selectionMode = false;
+        document.querySelectorAll('.selected').forEach(item => {
+            item.classList.remove('selected');
+        });
+        document.getElementById('org-toolbar').style.display = 'none';
+        document.body.classList.remove('selection-mode');
+        
+        // Show mobile FAB
+        const fab = document.getElementById('mobile-fab');
+        if (fab) fab.style.display = 'block';
+    }
+
+    // KEYBOARD
+    // Arrow keys move a cursor over the items of the view, folders first.
+    // Ctrl/Cmd-click, Shift-click and Shift+arrows select without the long
+    // press; the range runs from the anchor, the last item picked alone.
+    // Bound once: a login after logout() resumes this instance (see resume)
+    setupKeyboard() {
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        // Capture, so a modified click never reaches the grids and opens the item
+        document.addEventListener('click', (e) => this.handleModifiedClick(e), true);
+
+        document.getElementById('close-shortcuts').addEventListener('click', () => this.hideShortcuts());
+        document.getElementById('confirm-shortcuts').addEventListener('click', () => this.hideShortcuts());
+    }
+
+    // Every item of the view in order, folders first, rendered or not
+    getViewItems() {
+        const folders = Array.from(document.querySelectorAll('#current-folder-content .folder-item'))
+            .map(el => ({ key: this.itemKey(el), ref: this.refFromElement(el) }));
+        return folders.concat(this.mediaGrid.cells.filter(cell => cell.ref));
+    }
+
+    itemKey(item) {
+        return item.getAttribute('data-key') || this.refKey(this.refFromElement(item));
+    }
+
+    // The element for a key, rendering it first if the grid scrolled it away
+    showGridItem(key) {
+        if (!key) return null;
+        this.revealGridItem(key);
+        return Array.from(document.querySelectorAll('#current-folder-content .folder-item, #current-folder-content .media-item'))
+            .find(item => this.itemKey(item) === key) || null;
+    }
+
+    setCursor(key) {
+        const item = this.showGridItem(key);
+        this.keyboardCursor = key;
+        document.querySelectorAll('.keyboard-cursor').forEach(el => el.classList.remove('keyboard-cursor'));
+        if (item) {
+            item.classList.add('keyboard-cursor');
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // The key an arrow key moves the cursor to. Up and down pick the closest
+    // item in the next row on screen, which may be in the other grid; the
+    // grid renders well past the screen, so that row is always there.
+    findCursorTarget(key) {
+        const items = this.getViewItems();
+        const index = items.findIndex(item => item.key === this.keyboardCursor);
+        if (!items.length) return null;
+        if (index === -1) return (key === 'End' ? items[items.length - 1] : items[0]).key;
+
+        if (key === 'ArrowLeft') return items[Math.max(index - 1, 0)].key;
+        if (key === 'ArrowRight') return items[Math.min(index + 1, items.length - 1)].key;
+        if (key === 'Home') return items[0].key;
+        if (key === 'End') return items[items.length - 1].key;
+
+        const current = this.showGridItem(this.keyboardCursor);
+        if (!current) return this.keyboardCursor;
+        const from = current.getBoundingClientRect();
+        const centre = rect => rect.left + rect.width / 2;
+        const down = key === 'ArrowDown';
+        const candidates = Array.from(document.querySelectorAll('#current-folder-content .folder-item, #current-folder-content .media-item'))
+            .filter(item => item !== current)
+            .map(item => ({ item, rect: item.getBoundingClientRect() }))
+            .filter(({ rect }) => down ? rect.top >= from.bottom - 1 : rect.bottom <= from.top + 1);
+        if (!candidates.length) return this.keyboardCursor;
+
+        const tops = candidates.map(({ rect }) => rect.top);
+        const rowTop = down ? Math.min(...tops) : Math.max(...tops);
+        return this.itemKey(candidates
+            .filter(({ rect }) => Math.abs(rect.top - rowTop) < 1)
+            .reduce((best, candidate) =>
+                Math.abs(centre(candidate.rect) - centre(from)) < Math.abs(centre(best.rect) - centre(from)) ? candidate : best
+            ).item);
+    }
+
+    selectRange(targetKey) {
+        const items = this.getViewItems();
+        const keys = items.map(item => item.key);
+        const anchor = [this.selectionAnchor, this.keyboardCursor].find(key => keys.includes(key)) || targetKey;
+        this.selectionAnchor = anchor;
+
+        const [start, end] = [keys.indexOf(anchor), keys.indexOf(targetKey)].sort((a, b) => a - b);
+        this.setSelection(items.slice(start, end + 1).map(item => item.ref));
+    }
+
+    toggleWithModifier(item) {
+        if (this.selectionMode) {
+            this.toggleItemSelection(item);
+        } else {
+            this.enterSelectionMode(item);
+        }
+        this.selectionAnchor = this.itemKey(item);
+    }
+
+    handleModifiedClick(e) {
+        const toggle = e.ctrlKey || e.metaKey;
+        if (!toggle && !e.shiftKey) return;
+        if (document.getElementById('gallery-section').style.display === 'none') return;
+
+        const item = e.target.closest('#current-folder-content .folder-item, #current-folder-content .media-item');
+        if (!item || e.target.closest('.folder-option-btn, .clear-history-btn')) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.shiftKey) {
+            this.selectRange(this.itemKey(item));
+        } else {
+            this.toggleWithModifier(item);
+        }
+        this.setCursor(this.itemKey(item));
+    }
+
+    handleKeyDown(e) {
+        // The lightbox handles its own keys; nothing works behind the lock screen
+        if (e.defaultPrevented || document.getElementById('gallery-section').style.display === 'none') return;
+
+        const openModals = document.querySelectorAll('.modal.active');
+        const typing = e.target.closest('input, textarea, select');
+
+        if (e.key === 'Escape') {
+            if (e.target.id === 'search-input') return;
+            if (openModals.length) {
+                // Each modal's × runs its own cleanup (stopping a video, clearing a form)
+                const modal = openModals[openModals.length - 1];
+                const close = modal.querySelector('.btn-close');
+                if (close) close.click(); else modal.classList.remove('active');
+            } else if (this.selectedItems.length) {
+                this.cancelSelection();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            return;
+        }
+
+        if (e.key === '?' && !typing) {
+            const shortcuts = document.getElementById('shortcuts-modal');
+            if (shortcuts.classList.contains('active')) {
+                this.hideShortcuts();
+            } else if (!openModals.length) {
+                this.showShortcuts();
+            }
+            e.preventDefault();
+            return;
+        }
+
+        if (typing || openModals.length || e.altKey) return;
+
+        const modifier = e.ctrlKey || e.metaKey;
+        if (modifier) {
+            if (e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                this.setSelection(this.getViewItems().map(item => item.ref));
+            }
+            return;
+        }
+
+        const cursorRef = () => (this.getViewItems().find(item => item.key === this.keyboardCursor) || {}).ref;
+        switch (e.key) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End': {
+                const target = this.findCursorTarget(e.key);
+                if (!target) return;
+                if (e.shiftKey) {
+                    this.selectRange(target);
+                } else {
+                    this.selectionAnchor = target;
+                }
+                this.setCursor(target);
+                break;
+            }
+            case 'Enter': {
+                // A focused button already reacts to these keys itself
+                if (e.target.closest('button, a')) return;
+                const cursor = this.showGridItem(this.keyboardCursor);
+                if (!cursor) return;
+                if (cursor.classList.contains('folder-item')) {
+                    this.navigateToFolder(cursor.getAttribute('data-folder-id'));
+                } else {
+                    this.openMediaItem(cursor);
+                }
+                break;
+            }
+            case ' ': {
+                if (e.target.closest('button, a')) return;
+                const cursor = this.showGridItem(this.keyboardCursor);
+                if (!cursor) return;
+                this.toggleWithModifier(cursor);
+                break;
+            }
+            case 'Backspace':
+                this.navigateUp();
+                break;
+            case 'Delete':
+                if (!this.selectedItems.length && cursorRef()) this.setSelection([cursorRef()]);
+                this.deleteSelectedItems();
+                break;
+            case 'F2':
+                if (!this.selectedItems.length && cursorRef()) this.setSelection([cursorRef()]);
+                if (this.selectedItems.length) this.showRenameModal();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    showShortcuts() {
+        document.getElementById('shortcuts-modal').classList.add('active');
+    }
+
+    hideShortcuts() {
+        document.getElementById('shortcuts-modal').classList.remove('active');
+    }
+
+    // DRAG & DROP
+    setupDragAndDrop() {
+        document.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.folder-item, .media-item');
+            if (item && this.selectedItems.length > 0) {
+                this.dragging = true;
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+
+        document.addEventListener('dragover', (e) => {
+            if (this.dragging) {
+                e.preventDefault();
+                const dropTarget = e.target.closest('.folder-item, .breadcrumb-item');
+                
+                document.querySelectorAll('.drop-zone').forEach(zone => {
+                    zone.classList.remove('drop-zone', 'active');
+                });
+                
+                if (dropTarget) {
+                    dropTarget.classList.add('drop-zone', 'active');
+                }
+            }
+        });
+
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (!this.dragging) return;
+            
+            const dropTarget = e.target.closest('.folder-item, .breadcrumb-item');
+            let targetFolderId = null;
+            
+            if (dropTarget) {
+                if (dropTarget.classList.contains('folder-item')) {
+                    targetFolderId = dropTarget.getAttribute('data-folder-id');
+                } else if (dropTarget.classList.contains('breadcrumb-item')) {
+                    targetFolderId = dropTarget.getAttribute('data-folder');
+                }
+                
+                if (targetFolderId && targetFolderId !== this.currentFolder) {
+                    this.moveSelectedItemsToFolder(targetFolderId);
+                }
+            }
+            
+            this.cleanupDrag();
+        });
+
+        document.addEventListener('dragend', () => {
+            this.cleanupDrag();
+        });
+    }
+
+    cleanupDrag() {
+        document.querySelectorAll('.drop-zone').forEach(zone => {
+            zone.classList.remove('drop-zone', 'active');
+        });
+        this.dragging = false;
+    }
+
+    async moveSelectedItemsToFolder(targetFolderId) {
+        if (!targetFolderId || this.selectedItems.length === 0) return;
+        if (this.isSmartFolder(targetFolderId)) {
+            this.showMessage('Smart folders fill themselves; tag items to add them', 'error');
+            return;
+        }
+
+        const saved = this.commitOperation({
+            type: 'move',
+            items: this.selectedItems.map(({ id, type, folderId }) => ({ id, type, folderId })),
+            target: targetFolderId
+        });
+        this.buildFolderUI(this.currentFolder);
+        this.cancelSelection();
+        await saved;
+    }
+
+    // MOBILE GESTURES
+    setupMobileGestures() {
+        if (window.innerWidth <= 768) {
+            this.setupMobileNavigation();
+            this.setupMobileFAB();
+        }
+    }
+
+    setupMobileNavigation() {
+        const backBtn = document.getElementById('back-btn');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => this.navigateUp());
+        }
+    }
+
+    navigateUp() {
+        const current = this.folderStructure[this.currentFolder];
+        if (this.currentFolder === 'trash' || this.currentFolder === 'recent') {
+            this.navigateToFolder('root');
+        } else if (current && current.parent) {
+            this.navigateToFolder(current.parent);
+        }
+    }
+
+    setupMobileFAB() {
+        const fab = document.getElementById('mobile-fab');
+        const fabMain = fab.querySelector('.fab-main');
+        const fabMenu = fab.querySelector('.fab-menu');
+        
+        fabMain.addEventListener('click', () => {
+            fabMain.classList.toggle('active');
+            fabMenu.style.display = fabMenu.style.display === 'flex' ? 'none' : 'flex';
+        });
+        
+        fabMenu.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) {
+                const action = button.getAttribute('data-action');
+                fabMain.classList.remove('active');
+                fabMenu.style.display = 'none';
+                
+                if (action === 'create-folder') {
+                    this.showCreateFolderModal();
+                } else if (action === 'add-link') {
+                    this.showAddMediaModal();
+                } else if (action === 'select-mode') {
+                    // Just enable selection mode
+                    this.selectionMode = true;
+                    document.body.classList.add('selection-mode');
+                    fab.style.display = 'none';
+                }
+            }
+        });
+        
+        // Close FAB menu when clicking outside
+        document.addEventListener('click', (e) => {
+            if (!fab.contains(e.target)) {
+                fabMain.classList.remove('active');
+                fabMenu.style.display = 'none';
+            }
+        });
+    }
+
+    // The media of one type in the order the current view shows it, so
+    // sorting, filters, smart folders and search results all carry over
+    getViewMedia(type) {
+        return this.mediaGrid.cells
+            .filter(cell => cell.entry && cell.entry.media.type === type)
+            .map(cell => cell.entry);
+    }
+
+    // VIDEO PLAYER
+    playVideo(media, folderId = null) {
+        const videoPlayer = document.getElementById('video-player');
+        const nativePlayer = document.getElementById('native-player');
+        const videoTitle = document.getElementById('video-player-title');
+        
+        if (!isValidMediaId(media.provider, media.id)) {
+            alert(`"${media.title || 'Untitled'}" has an invalid file ID and can't be played`);
+            return;
+        }
+
+        // Providers either embed their own player or hand over the file
+        const player = this.mediaProvider(media).player(media.id);
+        videoPlayer.style.display = player.embed ? '' : 'none';
+        nativePlayer.style.display = player.embed ? 'none' : '';
+        if (player.embed) {
+            this.stopNativePlayer();
+            videoPlayer.src = player.embed;
+        } else {
+            videoPlayer.src = '';
+            nativePlayer.src = player.src;
+            nativePlayer.play()?.catch(() => {});
+        }
+        videoTitle.textContent = media.title || 'Video Player';
+        
+        document.getElementById('video-player-modal').classList.add('active');
+        this.currentVideo = media;
+
+        // Play counts, "Last played" sort and Recently played
+        if (folderId && !this.historyPaused) {
+            this.recordPlay(media.id, folderId);
+        }
+    }
+
+    stopNativePlayer() {
+        const nativePlayer = document.getElementById('native-player');
+        nativePlayer.pause();
+        nativePlayer.removeAttribute('src');
+    }
+
+    hideVideoPlayer() {
+        const videoPlayer = document.getElementById('video-player');
+        videoPlayer.src = '';
+        this.stopNativePlayer();
+        document.getElementById('video-player-modal').classList.remove('active');
+        this.currentVideo = null;
+        this.playQueue = null;
+        this.flushPlays();
+    }
+
+    // PLAY QUEUE
+    // The player works through a queue of { id, folderId, title } entries for
+    // as long as it's open. Entries are looked up again when they come up, so
+    // an item that was moved meanwhile still plays and one that was deleted is
+    // skipped. Videos in the app's own player move on by themselves when they
+    // end; embedded players (Drive, YouTube) don't say, so those wait for Next
+    // or a tap on the up-next list.
+    playEntries(entries, index = 0, title = null) {
+        this.playQueue = {
+            title,
+            index: -1,
+            entries: entries.map(({ media, folderId }) => ({ id: media.id, folderId, title: media.title }))
+        };
+        this.playQueueEntry(index);
+    }
+
+    // copies is an indexCopies() result, for callers resolving a whole queue
+    resolveQueueEntry(entry, copies = null) {
+        const inPlace = this.mediaData[entry.folderId]?.find(m => m.id === entry.id);
+        if (inPlace && !this.isInTrash(entry.folderId)) {
+            return { media: inPlace, folderId: entry.folderId };
+        }
+        const [copy] = copies ? copies.get(entry.id) || [] : this.findCopies(entry.id);
+        return copy ? { media: copy.item, folderId: copy.folderId } : null;
+    }
+
+    playQueueEntry(index, step = 1) {
+        const queue = this.playQueue;
+        if (!queue) return;
+
+        for (let i = index; i >= 0 && i < queue.entries.length; i += step) {
+            const found = this.resolveQueueEntry(queue.entries[i]);
+            if (found) {
+                queue.index = i;
+                this.playVideo(found.media, found.folderId);
+                this.renderPlayQueue();
+                return;
+            }
+        }
+        if (queue.index === -1) {
+            this.hideVideoPlayer();
+            alert('None of these videos are in the vault any more');
+        }
+    }
+
+    stepPlayQueue(delta) {
+        if (this.playQueue) {
+            this.playQueueEntry(this.playQueue.index + delta, delta);
+        }
+    }
+
+    removeFromPlayQueue(index) {
+        const queue = this.playQueue;
+        if (!queue || index === queue.index) return;
+        queue.entries.splice(index, 1);
+        if (index < queue.index) queue.index--;
+        this.renderPlayQueue();
+    }
+
+    renderPlayQueue() {
+        const queue = this.playQueue;
+        const single = !queue || queue.entries.length < 2;
+
+        document.getElementById('player-controls').style.display = single ? 'none' : '';
+        document.getElementById('up-next').style.display = single ? 'none' : '';
+        if (single) return;
+
+        document.getElementById('player-position').textContent = `${queue.index + 1} / ${queue.entries.length}`;
+        document.getElementById('player-prev').disabled = queue.index === 0;
+        document.getElementById('player-next').disabled = queue.index === queue.entries.length - 1;
+        document.getElementById('up-next-title').textContent = queue.title ? `Up next · ${queue.title}` : 'Up next';
+
+        const copies = this.indexCopies();
+        document.getElementById('up-next-list').innerHTML = queue.entries.map((entry, index) => {
+            const missing = !this.resolveQueueEntry(entry, copies);
+            const classes = ['up-next-item', index === queue.index ? 'current' : '', index < queue.index ? 'played' : '', missing ? 'missing' : ''];
+            return html`
+                <li class="${classes.filter(Boolean).join(' ')}">
+                    <button class="up-next-play" data-index="${index}" ${missing ? 'disabled' : ''}>
+                        ${index === queue.index ? '▶ ' : ''}${entry.title || 'Untitled'}${missing ? ' (removed)' : ''}
+                    </button>
+                    ${index === queue.index ? '' : html`<button class="btn-close up-next-remove" data-index="${index}" title="Remove from queue">×</button>`}
+                </li>
+            `;
+        }).join('');
+
+        document.querySelector('#up-next-list .current')?.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    playFolder(shuffle = false) {
+        const entries = this.getViewMedia('video');
+        if (entries.length === 0) {
+            alert('There are no videos to play here');
+            return;
+        }
+        if (shuffle) this.shuffle(entries);
+
+        const folder = this.folderStructure[this.currentFolder];
+        this.playEntries(entries, 0, folder ? folder.name : null);
+    }
+
+    // Fisher-Yates, in place
+    shuffle(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
+    }
+
+    // PLAYLISTS
+    // Playlists are kept in the vault metadata and hold file IDs rather than
+    // folder positions, so they can span folders and keep working when items
+    // are moved. Copies in the Trash don't play.
+    getPlaylists() {
+        return Object.entries(this.playlists)
+            .map(([id, playlist]) => ({ id, ...playlist }))
+            .sort((a, b) => this.compareTitles(a.name, b.name));
+    }
+
+    playlistEntries(playlist) {
+        const copies = this.indexCopies();
+        return (playlist.items || []).map(fileId => {
+            const [copy] = copies.get(fileId) || [];
+            return copy ? { media: copy.item, folderId: copy.folderId } : null;
+        }).filter(Boolean);
+    }
+
+    playPlaylist(playlistId, shuffle = false) {
+        const playlist = this.playlists[playlistId];
+        if (!playlist) return;
+
+        const entries = this.playlistEntries(playlist);
+        if (entries.length === 0) {
+            alert(`"${playlist.name}" has no videos that are still in the vault`);
+            return;
+        }
+        if (shuffle) this.shuffle(entries);
+
+        this.hidePlaylistsModal();
+        this.playEntries(entries, 0, playlist.name);
+    }
+
+    async savePlaylist(playlistId, changes, options = {}) {
+        const current = this.playlists[playlistId];
+        const playlist = { ...(current || { items: [], created: new Date().toISOString() }), ...changes };
+        await this.commitOperation({ type: 'setPlaylist', id: playlistId, playlist }, options);
+    }
+
+    async createPlaylist(name, items = []) {
+        const playlistId = 'playlist-' + Date.now();
+        await this.savePlaylist(playlistId, { name, items }, { message: `Created playlist "${name}"` });
+        return playlistId;
+    }
+
+    async renamePlaylist(playlistId, name) {
+        const playlist = this.playlists[playlistId];
+        name = name.trim();
+        if (playlist && name && name !== playlist.name) {
+            await this.savePlaylist(playlistId, { name });
+        }
+        this.renderPlaylists();
+    }
+
+    async deletePlaylist(playlistId) {
+        const playlist = this.playlists[playlistId];
+        if (!playlist || !confirm(`Delete the playlist "${playlist.name}"? The videos in it stay in the vault.`)) return;
+        await this.commitOperation({ type: 'setPlaylist', id: playlistId, playlist: null });
+        if (this.openPlaylist === playlistId) this.openPlaylist = null;
+        this.renderPlaylists();
+    }
+
+    async movePlaylistItem(playlistId, index, delta) {
+        const items = [...(this.playlists[playlistId]?.items || [])];
+        const target = index + delta;
+        if (target < 0 || target >= items.length) return;
+        [items[index], items[target]] = [items[target], items[index]];
+        await this.savePlaylist(playlistId, { items });
+        this.renderPlaylists();
+    }
+
+    async removePlaylistItem(playlistId, index) {
+        const items = [...(this.playlists[playlistId]?.items || [])];
+        items.splice(index, 1);
+        await this.savePlaylist(playlistId, { items });
+        this.renderPlaylists();
+    }
+
+    showPlaylistsModal() {
+        this.renderPlaylists();
+        document.getElementById('playlists-modal').classList.add('active');
+    }
+
+    hidePlaylistsModal() {
+        document.getElementById('playlists-modal').classList.remove('active');
+        document.getElementById('new-playlist-name').value = '';
+        this.openPlaylist = null;
+    }
+
+    renderPlaylists() {
+        const playlists = this.getPlaylists();
+        if (this.openPlaylist && !this.playlists[this.openPlaylist]) this.openPlaylist = null;
+
+        document.getElementById('playlist-list').innerHTML = playlists.length
+            ? playlists.map(playlist => html`
+                <li class="playlist-item ${playlist.id === this.openPlaylist ? 'open' : ''}">
+                    <button class="playlist-name" data-playlist-action="open" data-playlist="${playlist.id}">
+                        🎵 ${playlist.name}
+                        <small>${(playlist.items || []).length} video(s)</small>
+                    </button>
+                    <div class="playlist-buttons">
+                        <button class="btn-icon" data-playlist-action="play" data-playlist="${playlist.id}" title="Play">▶</button>
+                        <button class="btn-icon" data-playlist-action="shuffle" data-playlist="${playlist.id}" title="Shuffle">🔀</button>
+                        <button class="btn-icon" data-playlist-action="delete" data-playlist="${playlist.id}" title="Delete">🗑️</button>
+                    </div>
+                    ${playlist.id === this.openPlaylist ? this.createPlaylistDetail(playlist) : ''}
+                </li>
+            `).join('')
+            : '<p class="hint-text">No playlists yet. Select videos or folders and tap Playlist in the toolbar, or create an empty one below.</p>';
+    }
+
+    createPlaylistDetail(playlist) {
+        const items = playlist.items || [];
+        const rename = html`<input type="text" class="playlist-rename" value="${playlist.name}" title="Rename">`;
+        if (items.length === 0) {
+            return html`${rename}<p class="hint-text">Empty. Select videos and tap Playlist in the toolbar to add them.</p>`;
+        }
+
+        const copies = this.indexCopies();
+        return html`
+            ${rename}
+            <ol class="playlist-tracks">
+                ${items.map((fileId, index) => {
+                    const [copy] = copies.get(fileId) || [];
+                    return html`
+                        <li class="${copy ? '' : 'missing'}">
+                            <span>${copy ? copy.item.title || 'Untitled' : 'Not in the vault any more'}</span>
+                            <button class="btn-icon" data-track-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                            <button class="btn-icon" data-track-action="down" data-index="${index}" ${index === items.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                            <button class="btn-close" data-track-action="remove" data-index="${index}" title="Remove">×</button>
+                        </li>
+                    `;
+                })}
+            </ol>
+        `;
+    }
+
+    // Videos among the selection, with everything in selected folders and their subfolders
+    getSelectedVideoIds() {
+        const ids = [];
+        const addFolder = folderId => {
+            (this.mediaData[folderId] || []).forEach(item => {
+                if (item.type === 'video') ids.push(item.id);
+            });
+            (this.folderStructure[folderId]?.children || []).forEach(addFolder);
+        };
+
+        this.selectedItems.forEach(item => {
+            if (item.type === 'folder') {
+                addFolder(item.id);
+            } else {
+                const media = this.mediaData[item.folderId]?.find(m => m.id === item.id);
+                if (media && media.type === 'video') ids.push(media.id);
+            }
+        });
+        return [...new Set(ids)];
+    }
+
+    showAddToPlaylistModal() {
+        const ids = this.getSelectedVideoIds();
+        if (ids.length === 0) {
+            alert('Please select videos, or folders that contain videos');
+            return;
+        }
+
+        const select = document.getElementById('playlist-target');
+        select.innerHTML = this.getPlaylists()
+            .map(playlist => html`<option value="${playlist.id}">${playlist.name}</option>`)
+            .join('') + '<option value="">New playlist…</option>';
+        select.value = select.options[0].value;
+        this.updatePlaylistTarget();
+
+        document.getElementById('add-to-playlist-title').textContent = `Add ${ids.length} video(s) to playlist`;
+        document.getElementById('add-to-playlist-modal').classList.add('active');
+    }
+
+    hideAddToPlaylistModal() {
+        document.getElementById('add-to-playlist-modal').classList.remove('active');
+        document.getElementById('playlist-new-name').value = '';
+    }
+
+    updatePlaylistTarget() {
+        const isNew = document.getElementById('playlist-target').value === '';
+        document.getElementById('playlist-new-name').style.display = isNew ? '' : 'none';
+        if (isNew) document.getElementById('playlist-new-name').focus();
+    }
+
+    async addSelectionToPlaylist() {
+        const ids = this.getSelectedVideoIds();
+        const target = document.getElementById('playlist-target').value;
+
+        if (target) {
+            const playlist = this.playlists[target];
+            const added = ids.filter(id => !(playlist.items || []).includes(id));
+            const skipped = ids.length - added.length;
+            if (added.length) {
+                await this.savePlaylist(target, { items: [...(playlist.items || []), ...added] }, {
+                    message: `Added ${added.length} video(s) to "${playlist.name}"` +
+                        (skipped ? `, ${skipped} already in it` : '')
+                });
+            } else {
+                this.showMessage(`All of these are already in "${playlist.name}"`, 'warning');
+            }
+        } else {
+            const name = document.getElementById('playlist-new-name').value.trim();
+            if (!name) {
+                alert('Please enter a playlist name');
+                return;
+            }
+            await this.createPlaylist(name, ids);
+        }
+
+        this.hideAddToPlaylistModal();
+        this.cancelSelection();
+    }
+
+    // IMAGE LIGHTBOX
+    // Steps through the images of the current view (see getViewMedia)
+    lightboxImageUrl(media) {
+        return isValidMediaId(media.provider, media.id) ? this.mediaProvider(media).image(media.id) : '';
+    }
+
+    openLightbox(mediaId, folderId) {
+        const images = this.getViewMedia('image');
+        const index = images.findIndex(entry => entry.media.id === mediaId && entry.folderId === folderId);
+        if (index === -1) return;
+
+        this.lightbox = { images, index: 0, scale: 1, x: 0, y: 0, pointers: new Map(), gesture: null, timer: null };
+        document.getElementById('lightbox-modal').classList.add('active');
+        this.showLightboxImage(index);
+    }
+
+    hideLightbox() {
+        if (!this.lightbox) return;
+        this.stopSlideshow();
+        this.lightbox = null;
+        document.getElementById('lightbox-image').removeAttribute('src');
+        document.getElementById('lightbox-modal').classList.remove('active');
+    }
+
+    showLightboxImage(index) {
+        const lb = this.lightbox;
+        if (!lb) return;
+
+        const count = lb.images.length;
+        lb.index = (index + count) % count;
+        const { media } = lb.images[lb.index];
+
+        const img = document.getElementById('lightbox-image');
+        img.src = this.lightboxImageUrl(media);
+        img.alt = media.title || '';
+        document.getElementById('lightbox-title').textContent = media.title || 'Untitled';
+        document.getElementById('lightbox-counter').textContent = `${lb.index + 1} / ${count}`;
+        document.getElementById('lightbox-prev').style.display = count > 1 ? '' : 'none';
+        document.getElementById('lightbox-next').style.display = count > 1 ? '' : 'none';
+        this.resetLightboxZoom();
+
+        // Warm the cache so stepping either way shows the next image at once
+        if (count > 1) {
+            [lb.index + 1, lb.index - 1].forEach(i => {
+                new Image().src = this.lightboxImageUrl(lb.images[(i + count) % count].media);
+            });
+        }
+    }
+
+    stepLightbox(delta) {
+        if (!this.lightbox) return;
+        this.showLightboxImage(this.lightbox.index + delta);
+        // Stepping by hand restarts the slideshow's countdown
+        if (this.lightbox.timer) this.startSlideshow();
+    }
+
+    resetLightboxZoom() {
+        Object.assign(this.lightbox, { scale: 1, x: 0, y: 0 });
+        this.applyLightboxTransform();
+    }
+
+    // Zooms around (clientX, clientY) so the point under the finger or cursor stays put
+    zoomLightbox(scale, clientX, clientY) {
+        const lb = this.lightbox;
+        const next = Math.min(8, Math.max(1, scale));
+        if (next === 1) {
+            this.resetLightboxZoom();
+            return;
+        }
+
+        const rect = document.getElementById('lightbox-stage').getBoundingClientRect();
+        const cx = (clientX ?? rect.left + rect.width / 2) - rect.left - rect.width / 2;
+        const cy = (clientY ?? rect.top + rect.height / 2) - rect.top - rect.height / 2;
+        const ratio = next / lb.scale;
+        lb.x = cx - (cx - lb.x) * ratio;
+        lb.y = cy - (cy - lb.y) * ratio;
+        lb.scale = next;
+        this.applyLightboxTransform();
+    }
+
+    applyLightboxTransform() {
+        const lb = this.lightbox;
+        const img = document.getElementById('lightbox-image');
+        img.style.transform = `translate(${lb.x}px, ${lb.y}px) scale(${lb.scale})`;
+        img.classList.toggle('zoomed', lb.scale > 1);
+    }
+
+    startSlideshow() {
+        const lb = this.lightbox;
+        if (!lb) return;
+        clearInterval(lb.timer);
+        const seconds = parseInt(document.getElementById('lightbox-interval').value, 10) || 5;
+        lb.timer = setInterval(() => this.showLightboxImage(lb.index + 1), seconds * 1000);
+        const btn = document.getElementById('lightbox-play');
+        btn.textContent = '⏸';
+        btn.title = 'Pause slideshow (Space)';
+    }
+
+    stopSlideshow() {
+        if (!this.lightbox) return;
+        clearInterval(this.lightbox.timer);
+        this.lightbox.timer = null;
+        const btn = document.getElementById('lightbox-play');
+        btn.textContent = '▶';
+        btn.title = 'Start slideshow (Space)';
+    }
+
+    toggleSlideshow() {
+        if (!this.lightbox) return;
+        if (this.lightbox.timer) {
+            this.stopSlideshow();
+        } else {
+            this.startSlideshow();
+        }
+    }
+
+    setupLightbox() {
+        const stage = document.getElementById('lightbox-stage');
+        const interval = document.getElementById('lightbox-interval');
+
+        interval.value = localStorage.getItem('mv_slideshow_interval') || '5';
+        interval.addEventListener('change', () => {
+            localStorage.setItem('mv_slideshow_interval', interval.value);
+            if (this.lightbox?.timer) this.startSlideshow();
+        });
+
+        document.getElementById('close-lightbox').addEventListener('click', () => this.hideLightbox());
+        document.getElementById('lightbox-prev').addEventListener('click', () => this.stepLightbox(-1));
+        document.getElementById('lightbox-next').addEventListener('click', () => this.stepLightbox(1));
+        document.getElementById('lightbox-play').addEventListener('click', () => this.toggleSlideshow());
+
+        stage.addEventListener('wheel', (e) => {
+            if (!this.lightbox) return;
+            e.preventDefault();
+            this.zoomLightbox(this.lightbox.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e.clientX, e.clientY);
+        }, { passive: false });
+
+        stage.addEventListener('dblclick', (e) => {
+            if (!this.lightbox || e.target.closest('button')) return;
+            this.zoomLightbox(this.lightbox.scale > 1 ? 1 : 2.5, e.clientX, e.clientY);
+        });
+
+        // One pointer pans a zoomed image or swipes between images; two pinch-zoom
+        stage.addEventListener('pointerdown', (e) => {
+            const lb = this.lightbox;
+            if (!lb || e.target.closest('button')) return;
+            stage.setPointerCapture?.(e.pointerId);
+            lb.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (lb.pointers.size === 2) {
+                const [a, b] = [...lb.pointers.values()];
+                lb.gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: lb.scale };
+            } else if (lb.pointers.size === 1) {
+                lb.gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, x: lb.x, y: lb.y };
+            }
+        });
+
+        stage.addEventListener('pointermove', (e) => {
+            const lb = this.lightbox;
+            if (!lb || !lb.pointers.has(e.pointerId)) return;
+            lb.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (lb.gesture?.type === 'pinch' && lb.pointers.size === 2) {
+                const [a, b] = [...lb.pointers.values()];
+                const distance = Math.hypot(a.x - b.x, a.y - b.y);
+                this.zoomLightbox(lb.gesture.scale * distance / lb.gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            } else if (lb.gesture?.type === 'drag' && lb.scale > 1) {
+                lb.x = lb.gesture.x + e.clientX - lb.gesture.startX;
+                lb.y = lb.gesture.y + e.clientY - lb.gesture.startY;
+                this.applyLightboxTransform();
+            }
+        });
+
+        const endPointer = (e) => {
+            const lb = this.lightbox;
+            if (!lb || !lb.pointers.has(e.pointerId)) return;
+            lb.pointers.delete(e.pointerId);
+
+            const gesture = lb.gesture;
+            if (gesture?.type === 'drag' && lb.scale === 1 && e.type === 'pointerup') {
+                const dx = e.clientX - gesture.startX;
+                const dy = e.clientY - gesture.startY;
+                if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+                    this.stepLightbox(dx < 0 ? 1 : -1);
+                }
+            }
+            // Lifting one finger of a pinch shouldn't turn into a swipe
+            lb.gesture = lb.pointers.size ? { type: 'pinched' } : null;
+        };
+        stage.addEventListener('pointerup', endPointer);
+        stage.addEventListener('pointercancel', endPointer);
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.lightbox || e.target.closest('input, textarea, select')) return;
+            const actions = {
+                ArrowLeft: () => this.stepLightbox(-1),
+                ArrowRight: () => this.stepLightbox(1),
+                Escape: () => this.hideLightbox(),
+                ' ': () => this.toggleSlideshow(),
+                '+': () => this.zoomLightbox(this.lightbox.scale * 1.5),
+                '=': () => this.zoomLightbox(this.lightbox.scale * 1.5),
+                '-': () => this.zoomLightbox(this.lightbox.scale / 1.5),
+                '0': () => this.resetLightboxZoom()
+            };
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+    }
+
+    // MEDIA GRID
+    // A view is a frame (header, folders, an empty #media-container) plus
+    // cells, one per media item or group label. The frame is only replaced
+    // when its markup changes, so a save or a sync that doesn't touch it
+    // keeps the scroll position, open menus and ticked checkboxes. Cells are
+    // rendered a screen or so either side of the viewport, with spacers
+    // standing in for the rows above and below; a cell already on screen is
+    // kept as long as its markup is the same.
+    renderView(viewId, view) {
+        const grid = this.mediaGrid;
+        const content = document.getElementById('current-folder-content');
+        const sameView = grid.viewId === viewId;
+        const frame = String(view.html);
+
+        if (!sameView || grid.frame !== frame) {
+            const scrollY = window.scrollY;
+            content.innerHTML = frame;
+            grid.frame = frame;
+            grid.rendered = new Map();
+            if (!sameView) {
+                grid.heights = new Map();
+                window.scrollTo(0, 0);
+            }
+            grid.viewId = viewId;
+            grid.cells = view.cells || [];
+            grid.rows = null;
+            this.renderMediaWindow();
+            if (sameView) window.scrollTo(0, scrollY);
+        } else {
+            grid.cells = view.cells || [];
+            grid.rows = null;
+            this.renderMediaWindow();
+        }
+        this.applyItemStates();
+    }
+
+    scheduleMediaWindow() {
+        if (this.mediaGrid.frameRequest) return;
+        this.mediaGrid.frameRequest = requestAnimationFrame(() => {
+            this.mediaGrid.frameRequest = null;
+            this.renderMediaWindow();
+        });
+    }
+
+    // Rows of the grid at the current column count; a group label is a row of its own
+    layoutMediaRows(columns) {
+        const grid = this.mediaGrid;
+        if (grid.rows && grid.columns === columns) return grid.rows;
+        if (grid.columns !== columns) grid.heights = new Map();
+
+        const rows = [];
+        let row = null;
+        grid.cells.forEach(cell => {
+            if (!cell.entry) {
+                rows.push({ header: true, cells: [cell] });
+                row = null;
+                return;
+            }
+            if (!row || row.cells.length === columns) {
+                row = { header: false, cells: [] };
+                rows.push(row);
+            }
+            row.cells.push(cell);
+        });
+
+        grid.rows = rows;
+        grid.columns = columns;
+        return rows;
+    }
+
+    renderMediaWindow() {
+        const grid = this.mediaGrid;
+        const container = document.getElementById('media-container');
+        if (!container || !grid.cells.length) return;
+
+        const style = getComputedStyle(container);
+        const columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(track => track).length);
+        const gap = parseFloat(style.rowGap) || 0;
+        const rows = this.layoutMediaRows(columns);
+        // Rows not measured yet are assumed to be as tall as the ones that were
+        const heightOf = row => grid.heights.get(row.cells[0].key) || (row.header ? grid.headerHeight : grid.itemHeight);
+
+        const top = container.getBoundingClientRect().top;
+        const from = -top - window.innerHeight;
+        const to = -top + 2 * window.innerHeight;
+        let y = 0;
+        let before = 0;
+        let after = 0;
+        const shown = [];
+        rows.forEach(row => {
+            const height = heightOf(row) + gap;
+            if (y + height < from) {
+                before += height;
+            } else if (y > to) {
+                after += height;
+            } else {
+                shown.push(row);
+            }
+            y += height;
+        });
+
+        let [topSpacer, bottomSpacer] = container.querySelectorAll(':scope > .grid-spacer');
+        if (!topSpacer) {
+            container.innerHTML = '<div class="grid-spacer"></div><div class="grid-spacer"></div>';
+            [topSpacer, bottomSpacer] = container.children;
+        }
+        // The grid gap after a spacer makes up the gap of the rows it replaces
+        topSpacer.style.display = before ? '' : 'none';
+        topSpacer.style.height = Math.max(0, before - gap) + 'px';
+        bottomSpacer.style.display = after ? '' : 'none';
+        bottomSpacer.style.height = Math.max(0, after - gap) + 'px';
+
+        // Keyed update: only cells that are new or whose markup changed are built
+        const wanted = shown.flatMap(row => row.cells);
+        const rendered = new Map();
+        const fresh = wanted.filter(cell => {
+            const old = grid.rendered.get(cell.key);
+            if (old && old.html === cell.html) {
+                rendered.set(cell.key, old);
+                return false;
+            }
+            return true;
+        });
+        const template = document.createElement('template');
+        template.innerHTML = fresh.map(cell => cell.html).join('');
+        Array.from(template.content.children).forEach((el, index) => {
+            el.setAttribute('data-key', fresh[index].key);
+            rendered.set(fresh[index].key, { html: fresh[index].html, el });
+        });
+        grid.rendered.forEach((old, key) => {
+            if (rendered.get(key) !== old) old.el.remove();
+        });
+
+        let previous = topSpacer;
+        wanted.forEach(cell => {
+            const el = rendered.get(cell.key).el;
+            if (previous.nextSibling !== el) container.insertBefore(el, previous.nextSibling);
+            previous = el;
+        });
+        grid.rendered = rendered;
+        this.applyItemStates(wanted.map(cell => rendered.get(cell.key).el));
+
+        // Measure what's on screen so the spacers follow the real row heights
+        shown.forEach(row => {
+            const height = Math.max(...row.cells.map(cell => rendered.get(cell.key).el.offsetHeight));
+            if (!height) return;
+            grid.heights.set(row.cells[0].key, height);
+            if (row.header) {
+                grid.headerHeight = height;
+            } else {
+                grid.itemHeight = height;
+            }
+        });
+    }
+
+    // Renders the cell with this key if it's scrolled out of the window
+    revealGridItem(key) {
+        const grid = this.mediaGrid;
+        const container = document.getElementById('media-container');
+        if (!container || grid.rendered.has(key) || !grid.cells.some(cell => cell.key === key)) return;
+
+        const gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+        let y = 0;
+        for (const row of grid.rows || []) {
+            if (row.cells.some(cell => cell.key === key)) break;
+            y += (grid.heights.get(row.cells[0].key) || (row.header ? grid.headerHeight : grid.itemHeight)) + gap;
+        }
+        window.scrollTo(0, window.scrollY + container.getBoundingClientRect().top + y - window.innerHeight / 2);
+        this.renderMediaWindow();
+    }
+
+    // Selection and the keyboard cursor live in this.selectedItems and
+    // this.keyboardCursor, so elements built later pick them up here
+    applyItemStates(elements = document.querySelectorAll('#current-folder-content .folder-item, #current-folder-content .media-item')) {
+        const selected = new Set(this.selectedItems.map(ref => this.refKey(ref)));
+        elements.forEach(el => {
+            el.classList.toggle('selected', selected.has(this.refKey(this.refFromElement(el))));
+            el.classList.toggle('keyboard-cursor', this.itemKey(el) === this.keyboardCursor);
+        });
+    }
+
+    // UI BUILDING
+    buildFolderUI(folderId) {
+        // The Trash view is shown even before anything has been trashed
+        const isTrash = folderId === 'trash';
+        const isRecent = folderId === 'recent';
+        if (!isTrash && !isRecent && (!this.folderStructure[folderId] || this.isInTrash(folderId))) {
+            folderId = 'root';
+        }
+        
+        this.currentFolder = folderId;
+        const folder = this.folderStructure[folderId];
+        
+        this.updateBreadcrumb(folderId);
+
+        // Saves and remote updates rebuild the view; keep showing the results
+        if (this.searchQuery) {
+            this.renderSearchResults();
+            return;
+        }
+
+        this.renderView(folderId, isTrash ? { html: this.createTrashUI(), cells: null }
+            : isRecent ? this.createRecentUI()
+            : this.createFolderUI(folder, folderId));
+    }
+
+    createFolderUI(folder, folderId) {
+        if (folder.smart) {
+            return this.createSmartFolderUI(folder, folderId);
+        }
+
+        const media = this.createMediaGrid(folderId);
+        const frame = html`
+            <div class="folder-header">
+                <h2>${folder.name}</h2>
+                ${this.createViewControls(folderId, media.cells)}
+                <div class="header-actions">
+                    <button class="add-btn" id="add-btn">+</button>
+                    <div class="add-menu" id="add-menu">
+                        <button data-action="create-folder">
+                            <span>📁</span>
+                            Create Folder
+                        </button>
+                        <button data-action="create-smart-folder">
+                            <span>✨</span>
+                            Create Smart Folder
+                        </button>
+                        <button data-action="add-link">
+                            <span>➕</span>
+                            Add Media
+                        </button>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="folders-grid" id="folders-container">
+                ${this.createFoldersGrid(folder)}
+            </div>
+            
+            <div class="media-grid" id="media-container">${media.html}</div>
+        `;
+        return { html: frame, cells: media.cells };
+    }
+
+    createFoldersGrid(folder) {
+        if (!folder.children || folder.children.length === 0) {
+            return html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">📁</div>
+                    <p>No folders yet</p>
+                    <p class="empty-state-hint">Tap the + button to create your first folder</p>
+                </div>
+            `;
+        }
+
+        return this.sortFolderIds(folder.children, this.getFolderView(folder)).map(childId => {
+            const childFolder = this.folderStructure[childId];
+            if (!childFolder) return '';
+            
+            const isCsvFolder = childFolder.source === 'csv';
+            const isSmartFolder = Boolean(childFolder.smart);
+            
+            return html`
+                <div class="folder-item" data-folder-id="${childId}" data-type="folder" draggable="true">
+                    <div class="folder-icon">${isSmartFolder ? '✨' : '📁'}</div>
+                    <div class="folder-name">${childFolder.name}</div>
+                    ${isCsvFolder ? html`<div class="csv-folder-badge">CSV</div>` : ''}
+                    ${isSmartFolder ? html`<div class="csv-folder-badge smart-folder-badge">SMART</div>` : ''}
+                    <div class="folder-options">
+                        <button class="folder-option-btn" data-action="rename">✏️</button>
+                        <button class="folder-option-btn" data-action="delete">🗑️</button>
+                    </div>
+                </div>
+            `;
+        });
+    }
+
+    // Returns { html, cells }: an empty state, or the cells for renderView
+    createMediaGrid(folderId) {
+        const folder = this.folderStructure[folderId];
+        const smart = this.isSmartFolder(folderId);
+        // Smart folder items keep their real folder in data-folder-id, so
+        // playing, selecting, moving and deleting them works as usual
+        const entries = smart
+            ? this.getSmartFolderItems(folder)
+            : (this.mediaData[folderId] || []).map(item => ({ item, folderId }));
+        
+        if (entries.length === 0) {
+            return { cells: null, html: smart ? html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">✨</div>
+                    <p>Nothing matches this smart folder yet</p>
+                    <p class="empty-state-hint">Tag items from the selection toolbar, or edit the rules</p>
+                </div>
+            ` : html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">🖼️</div>
+                    <p>No media yet</p>
+                    <p class="empty-state-hint">Add media using the + button</p>
+                </div>
+            ` };
+        }
+
+        const groups = this.arrangeMedia(entries, this.getFolderView(folder));
+        if (groups.length === 0) {
+            return { cells: null, html: html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔎</div>
+                    <p>Nothing here matches the type filter</p>
+                    <p class="empty-state-hint">Choose "All types" to see everything in this folder</p>
+                </div>
+            ` };
+        }
+
+        return {
+            html: '',
+            cells: this.createMediaCells(groups, ({ folderId: itemFolderId }) => smart
+                ? html`<div class="search-path">${this.getFolderPath(itemFolderId).map(part => part.name).join(' / ')}</div>`
+                : '')
+        };
+    }
+
+    // One cell per item (and per group label) of a media grid. extra(entry)
+    // is html shown under the item's title. Cell markup is kept as a string,
+    // so renderMediaWindow can compare it.
+    createMediaCells(groups, extra) {
+        const seen = new Map();
+        const cells = [];
+        groups.forEach(group => {
+            if (group.label) {
+                cells.push({
+                    key: 'group:' + group.label,
+                    html: String(html`<div class="media-group-header">${group.label} <span>${group.entries.length}</span></div>`)
+                });
+            }
+            group.entries.forEach(entry => {
+                const ref = { id: entry.item.id, type: 'media', folderId: entry.folderId };
+                // A file listed twice in one folder still needs two cells
+                let key = this.refKey(ref);
+                const count = seen.get(key) || 0;
+                seen.set(key, count + 1);
+                if (count) key += '#' + count;
+
+                cells.push({
+                    key,
+                    ref,
+                    entry: { media: entry.item, folderId: entry.folderId },
+                    html: String(this.createMediaItem(entry.item, entry.folderId, extra(entry)))
+                });
+            });
+        });
+        return cells;
+    }
+
+    // extra is html shown under the title (search results use it for the path)
+    createMediaItem(item, folderId, extra = '') {
+        const thumbnail = isValidMediaId(item.provider, item.id) ? this.mediaProvider(item).thumbnail(item.id, item.type) : null;
+        return html`
+            <div class="media-item" data-media-id="${item.id}" data-folder-id="${folderId}" data-type="media" draggable="true">
+                ${thumbnail ? html`<img src="${thumbnail}" 
+                     alt="${item.title}" 
+                     class="media-thumb ${item.type === 'video' ? 'video-thumb' : ''}"
+                     loading="lazy"
+                     onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjMzMwMzNmIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxOCIgZmlsbD0iIzk5YTFjNCIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+TWVkaWEgTm90IEZvdW5kPC90ZXh0Pjwvc3ZnPg=='">` : html`<div class="media-thumb media-thumb-placeholder">${item.type === 'video' ? '🎬' : '🖼️'}</div>`}
+                <div class="media-title">${item.title || 'Untitled'}</div>
+                ${item.tags && item.tags.length ? html`
+                    <div class="media-tags">
+                        ${item.tags.map(tag => html`<span class="media-tag">${tag}</span>`)}
+                    </div>
+                ` : ''}
+                ${extra}
+                ${item.type === 'video' ? html`<div class="video-badge">VIDEO</div>` : ''}
+            </div>
+        `;
+    }
+
+    updateBreadcrumb(folderId) {
+        const breadcrumbItems = document.getElementById('breadcrumb-items');
+        const backBtn = document.getElementById('back-btn');
+        const views = { trash: 'Trash', recent: 'Recently played' };
+        const path = views[folderId]
+            ? [...this.getFolderPath('root'), { id: folderId, name: views[folderId] }]
+            : this.getFolderPath(folderId);
+        const icon = (id, index) => index === 0 ? '🏠' : id === 'trash' ? '🗑️' : id === 'recent' ? '🕘' : '📁';
+        
+        if (window.innerWidth <= 768) {
+            // Mobile: show back button and current folder only
+            backBtn.style.display = folderId === 'root' ? 'none' : 'flex';
+            breadcrumbItems.innerHTML = html`
+                <div class="breadcrumb-item active" data-folder="${folderId}">
+                    <span>${icon(folderId, path.length - 1)}</span>
+                    ${path[path.length - 1].name}
+                </div>
+            `;
+        } else {
+            // Desktop: show full breadcrumb
+            backBtn.style.display = 'none';
+            breadcrumbItems.innerHTML = html`${path.map((item, index) => html`
+                <div class="breadcrumb-item ${index === path.length - 1 ? 'active' : ''}" 
+                     data-folder="${item.id}">
+                    <span>${icon(item.id, index)}</span>
+                    ${item.name}
+                </div>
+            `)}`;
+        }
+    }
+
+    getFolderPath(folderId) {
+        const path = [];
+        let current = folderId;
+        
+        while (current && this.folderStructure[current]) {
+            path.unshift({
+                id: current,
+                name: this.folderStructure[current].name
+            });
+            current = this.folderStructure[current].parent;
+        }
+        
+        return path;
+    }
+
+    // EVENT LISTENERS
+    setupEventListeners() {
+        // Logout
+        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
+        
+        // Refresh
+        document.getElementById('refresh-btn').addEventListener('click', () => this.refreshFromCloud());
+        
+        // Settings
+        document.getElementById('settings-btn').addEventListener('click', () => this.showSettingsModal());
+
+        // Trash
+        document.getElementById('trash-btn').addEventListener('click', () => this.navigateToFolder('trash'));
+
+        // Recently played
+        document.getElementById('recent-btn').addEventListener('click', () => this.navigateToFolder('recent'));
+
+        // Search
+        this.setupSearch();
+
+        // Undo / redo
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+            // Nothing behind the lock screen, not even a stale undo
+            if (document.getElementById('gallery-section').style.display === 'none') return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+        this.updateHistoryButtons();
+
+        // Keyboard navigation and shortcuts
+        this.setupKeyboard();
+
+        // Breadcrumb navigation
+        document.getElementById('breadcrumb-items').addEventListener('click', (e) => {
+            const breadcrumbItem = e.target.closest('.breadcrumb-item');
+            if (breadcrumbItem) {
+                const folderId = breadcrumbItem.getAttribute('data-folder');
+                this.navigateToFolder(folderId);
+            }
+        });
+
+        // Folder view
+        this.setupFolderEventListeners();
+
+        // Modal events
+        this.setupModalEvents();
+
+        // Image lightbox
+        this.setupLightbox();
+
+        // Organization toolbar
+        this.setupToolbarEvents();
+        
+        // Mobile tabs
+        this.setupMobileTabs();
+
+        // Click outside to close menus
+        document.addEventListener('click', (e) => {
+            const addMenu = document.getElementById('add-menu');
+            if (addMenu && !e.target.closest('#add-btn') && !e.target.closest('#add-menu')) {
+                addMenu.style.display = 'none';
+            }
+            
+            if (e.target.classList.contains('modal')) {
+                this.hideAllModals();
+            }
+        });
+    }
+
+    // The folder view is rebuilt often, so its controls are handled here once
+    // by delegation instead of being wired up again on every render
+    setupFolderEventListeners() {
+        const content = document.getElementById('current-folder-content');
+
+        content.addEventListener('change', (e) => {
+            const target = e.target;
+            if (target.closest('.view-controls select')) {
+                this.setFolderView(this.currentFolder);
+            } else if (target.id === 'history-paused') {
+                this.setHistoryPaused(target.checked);
+            } else if (target.id === 'trash-retention') {
+                this.setTrashRetention(parseInt(target.value, 10));
+            } else if (target.id === 'trash-select-all') {
+                document.querySelectorAll('#trash-list input[type="checkbox"]').forEach(input => {
+                    input.checked = target.checked;
+                });
+            }
+        });
+
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            const actions = {
+                'play-folder-btn': () => this.playFolder(false),
+                'shuffle-folder-btn': () => this.playFolder(true),
+                'edit-smart-btn': () => this.showSmartFolderModal(this.currentFolder),
+                'clear-search-btn': () => this.clearSearch(),
+                'clear-all-history-btn': () => {
+                    this.clearHistory(this.getPlayedItems());
+                },
+                'restore-trash-btn': () => this.restoreTrashItems(),
+                'purge-trash-btn': () => this.purgeTrashItems(this.getCheckedTrashItems()),
+                'empty-trash-btn': () => this.purgeTrashItems(this.getTrashEntries().map(entry => entry.ref))
+            };
+            if (button && actions[button.id]) {
+                actions[button.id]();
+                return;
+            }
+
+            // Add button
+            const addMenu = document.getElementById('add-menu');
+            if (button && button.id === 'add-btn') {
+                addMenu.style.display = addMenu.style.display === 'block' ? 'none' : 'block';
+                return;
+            }
+            if (button && button.closest('#add-menu')) {
+                const action = button.getAttribute('data-action');
+                if (action === 'create-folder') {
+                    this.showCreateFolderModal();
+                } else if (action === 'create-smart-folder') {
+                    this.showSmartFolderModal();
+                } else if (action === 'add-link') {
+                    this.showAddMediaModal();
+                }
+                addMenu.style.display = 'none';
+                return;
+            }
+
+            // Folder options
+            const optionBtn = e.target.closest('.folder-option-btn');
+            if (optionBtn) {
+                const folderItem = optionBtn.closest('.folder-item');
+                const action = optionBtn.getAttribute('data-action');
+                
+                // Enter selection mode and select this folder
+                if (!this.selectionMode) {
+                    this.enterSelectionMode(folderItem);
+                } else {
+                    this.toggleItemSelection(folderItem);
+                }
+                
+                if (action === 'rename') {
+                    this.showRenameModal();
+                } else if (action === 'delete') {
+                    this.deleteSelectedItems();
+                }
+                return;
+            }
+
+            // Folder navigation and media (only when not in selection mode)
+            if (this.selectionMode) return;
+            
+            const folderItem = e.target.closest('.folder-item');
+            if (folderItem) {
+                this.navigateToFolder(folderItem.getAttribute('data-folder-id'));
+                return;
+            }
+
+            const mediaItem = e.target.closest('.media-item');
+            if (mediaItem && e.target.closest('.clear-history-btn')) {
+                this.clearHistory([{ id: mediaItem.getAttribute('data-media-id'), folderId: mediaItem.getAttribute('data-folder-id') }]);
+                return;
+            }
+            if (mediaItem) {
+                this.openMediaItem(mediaItem);
+            }
+        });
+
+        // Only the rows near the screen are rendered (see MEDIA GRID)
+        window.addEventListener('scroll', () => this.scheduleMediaWindow(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleMediaWindow());
+    }
+
+    openMediaItem(mediaItem) {
+        const mediaId = mediaItem.getAttribute('data-media-id');
+        const folderId = mediaItem.getAttribute('data-folder-id');
+        const media = this.mediaData[folderId]?.find(m => m.id === mediaId);
+        
+        if (media && media.type === 'video') {
+            // The rest of the view's videos queue up behind it
+            const videos = this.getViewMedia('video');
+            const index = videos.findIndex(entry => entry.media.id === mediaId && entry.folderId === folderId);
+            this.playEntries(index === -1 ? [{ media, folderId }] : videos, Math.max(index, 0));
+        } else if (media && media.type === 'image') {
+            this.openLightbox(mediaId, folderId);
+        }
+    }
+
+    setupModalEvents() {
+        // Add Media Modal
+        document.getElementById('cancel-add-media').addEventListener('click', () => this.hideAddMediaModal());
+        document.getElementById('cancel-add-media-btn').addEventListener('click', () => this.hideAddMediaModal());
+        document.getElementById('confirm-add-media').addEventListener('click', () => this.addMedia());
+        document.getElementById('batch-edit-btn').addEventListener('click', () => this.editBatchText());
+        document.getElementById('batch-file-btn').addEventListener('click', () => document.getElementById('batch-file').click());
+        document.getElementById('batch-file').addEventListener('change', (e) => this.loadBatchFiles(e.target.files));
+        document.getElementById('batch-rows').addEventListener('change', (e) => this.handleBatchRowChange(e));
+        document.getElementById('batch-rows').addEventListener('input', (e) => {
+            if (e.target.classList.contains('batch-row-title')) this.handleBatchRowChange(e);
+        });
+
+        // Text files dropped on the box are read into it
+        const batchLinks = document.getElementById('batch-links');
+        batchLinks.addEventListener('dragover', (e) => {
+            if (this.dragging) return;
+            e.preventDefault();
+            batchLinks.classList.add('drag-over');
+        });
+        batchLinks.addEventListener('dragleave', () => batchLinks.classList.remove('drag-over'));
+        batchLinks.addEventListener('drop', (e) => {
+            batchLinks.classList.remove('drag-over');
+            if (!e.dataTransfer.files.length) return;
+            e.preventDefault();
+            this.loadBatchFiles(e.dataTransfer.files);
+        });
+
+        // Create Folder Modal
+        document.getElementById('cancel-create-folder').addEventListener('click', () => this.hideCreateFolderModal());
+        document.getElementById('cancel-create-folder-btn').addEventListener('click', () => this.hideCreateFolderModal());
+        document.getElementById('confirm-create-folder').addEventListener('click', () => this.createFolder());
+
+        // Move To Modal
+        document.getElementById('cancel-move').addEventListener('click', () => this.hideMoveToModal());
+        document.getElementById('cancel-move-btn').addEventListener('click', () => this.hideMoveToModal());
+        document.getElementById('confirm-move').addEventListener('click', () => this.moveSelectedItems());
+
+        // Rename Modal
+        document.getElementById('cancel-rename').addEventListener('click', () => this.hideRenameModal());
+        document.getElementById('cancel-rename-btn').addEventListener('click', () => this.hideRenameModal());
+        document.getElementById('confirm-rename').addEventListener('click', () => this.renameSelectedItem());
+
+        // Tags Modal
+        document.getElementById('cancel-tags').addEventListener('click', () => this.hideTagsModal());
+        document.getElementById('cancel-tags-btn').addEventListener('click', () => this.hideTagsModal());
+        document.getElementById('confirm-tags').addEventListener('click', () => this.applyTags());
+        document.getElementById('tag-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-tag]');
+            if (chip) chip.classList.toggle('removed');
+        });
+        document.getElementById('known-tags').addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-tag]');
+            if (chip) this.appendTagToInput('tags-input', chip.getAttribute('data-tag'));
+        });
+
+        // Smart Folder Modal
+        document.getElementById('cancel-smart-folder').addEventListener('click', () => this.hideSmartFolderModal());
+        document.getElementById('cancel-smart-folder-btn').addEventListener('click', () => this.hideSmartFolderModal());
+        document.getElementById('confirm-smart-folder').addEventListener('click', () => this.saveSmartFolder());
+
+        // Duplicates Modal
+        document.getElementById('cancel-duplicates').addEventListener('click', () => this.hideDuplicatesModal());
+        document.getElementById('close-duplicates-btn').addEventListener('click', () => this.hideDuplicatesModal());
+        document.getElementById('duplicate-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-dup-action]');
+            if (button) {
+                this.resolveDuplicate(button.closest('[data-file-id]').getAttribute('data-file-id'), button.getAttribute('data-dup-action'));
+            }
+        });
+
+        // Snapshots Modal
+        document.getElementById('cancel-snapshots').addEventListener('click', () => this.hideSnapshotsModal());
+        document.getElementById('close-snapshots-btn').addEventListener('click', () => this.hideSnapshotsModal());
+        document.getElementById('snapshot-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-snapshot]');
+            if (button) {
+                this.openSnapshotDiff(button.getAttribute('data-snapshot'));
+            }
+        });
+        document.getElementById('snapshot-diff').addEventListener('click', (e) => {
+            if (e.target.closest('#restore-snapshot-btn')) {
+                this.restoreSnapshot();
+            } else if (e.target.closest('#restore-snapshot-folder-btn')) {
+                this.restoreSnapshotFolder(document.getElementById('snapshot-folder').value);
+            }
+        });
+
+        // Video Player Modal
+        document.getElementById('close-video-player').addEventListener('click', () => this.hideVideoPlayer());
+        document.getElementById('player-prev').addEventListener('click', () => this.stepPlayQueue(-1));
+        document.getElementById('player-next').addEventListener('click', () => this.stepPlayQueue(1));
+        document.getElementById('native-player').addEventListener('ended', () => this.stepPlayQueue(1));
+        document.getElementById('up-next-list').addEventListener('click', (e) => {
+            const remove = e.target.closest('.up-next-remove');
+            const play = e.target.closest('.up-next-play');
+            if (remove) {
+                this.removeFromPlayQueue(Number(remove.getAttribute('data-index')));
+            } else if (play) {
+                this.playQueueEntry(Number(play.getAttribute('data-index')));
+            }
+        });
+
+        // Playlists
+        document.getElementById('playlists-btn').addEventListener('click', () => this.showPlaylistsModal());
+        document.getElementById('close-playlists').addEventListener('click', () => this.hidePlaylistsModal());
+        document.getElementById('create-playlist-btn').addEventListener('click', async () => {
+            const input = document.getElementById('new-playlist-name');
+            const name = input.value.trim();
+            if (!name) {
+                alert('Please enter a playlist name');
+                return;
+            }
+            this.openPlaylist = await this.createPlaylist(name);
+            input.value = '';
+            this.renderPlaylists();
+        });
+        document.getElementById('playlist-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-playlist-action], button[data-track-action]');
+            if (!button) return;
+
+            const trackAction = button.getAttribute('data-track-action');
+            if (trackAction) {
+                const index = Number(button.getAttribute('data-index'));
+                if (trackAction === 'remove') {
+                    this.removePlaylistItem(this.openPlaylist, index);
+                } else {
+                    this.movePlaylistItem(this.openPlaylist, index, trackAction === 'up' ? -1 : 1);
+                }
+                return;
+            }
+
+            const playlistId = button.getAttribute('data-playlist');
+            switch (button.getAttribute('data-playlist-action')) {
+                case 'open':
+                    this.openPlaylist = this.openPlaylist === playlistId ? null : playlistId;
+                    this.renderPlaylists();
+                    break;
+                case 'play': this.playPlaylist(playlistId); break;
+                case 'shuffle': this.playPlaylist(playlistId, true); break;
+                case 'delete': this.deletePlaylist(playlistId); break;
+            }
+        });
+        document.getElementById('playlist-list').addEventListener('change', (e) => {
+            if (e.target.classList.contains('playlist-rename')) {
+                this.renamePlaylist(this.openPlaylist, e.target.value);
+            }
+        });
+        document.getElementById('playlist-target').addEventListener('change', () => this.updatePlaylistTarget());
+        document.getElementById('cancel-add-to-playlist').addEventListener('click', () => this.hideAddToPlaylistModal());
+        document.getElementById('cancel-add-to-playlist-btn').addEventListener('click', () => this.hideAddToPlaylistModal());
+        document.getElementById('confirm-add-to-playlist').addEventListener('click', () => this.addSelectionToPlaylist());
+
+        // Settings Modal
+        document.getElementById('cancel-settings').addEventListener('click', () => this.hideSettingsModal());
+        document.getElementById('cancel-settings-btn').addEventListener('click', () => this.hideSettingsModal());
+        document.getElementById('confirm-settings').addEventListener('click', () => this.hideSettingsModal());
+        document.getElementById('storage-backend').addEventListener('change', () => this.updateStorageForm());
+        document.getElementById('apply-storage-btn').addEventListener('click', () => this.switchStorageBackend());
+        document.getElementById('import-csv-btn').addEventListener('click', () => this.runCsvImport());
+        document.getElementById('export-csv-btn').addEventListener('click', () => this.exportCsv());
+        document.getElementById('export-json-btn').addEventListener('click', () => this.exportJson());
+        document.getElementById('restore-btn').addEventListener('click', () => document.getElementById('restore-file').click());
+        document.getElementById('restore-file').addEventListener('change', (e) => this.handleRestoreFile(e.target.files[0]));
+        document.getElementById('find-duplicates-btn').addEventListener('click', () => this.showDuplicatesModal());
+        document.getElementById('show-snapshots-btn').addEventListener('click', () => this.showSnapshotsModal());
+        document.getElementById('create-pairing-btn').addEventListener('click', () => this.createPairingCode());
+        document.getElementById('copy-pairing-link').addEventListener('click', () => this.copyPairingLink());
+        document.getElementById('join-vault-btn').addEventListener('click', () => this.joinVault());
+        document.getElementById('device-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-device]');
+            if (button) {
+                this.revokeDevice(button.getAttribute('data-device'));
+            }
+        });
+        document.getElementById('encryption-btn').addEventListener('click', () => this.applyEncryption());
+        document.getElementById('change-code-btn').addEventListener('click', () => this.changeAccessCode());
+        document.getElementById('idle-lock').addEventListener('change', () => this.saveLockSettings());
+        document.getElementById('lock-when-hidden').addEventListener('change', () => this.saveLockSettings());
+        document.getElementById('lock-now-btn').addEventListener('click', () => this.lockVault());
+
+        // Restore Modal
+        document.getElementById('cancel-restore').addEventListener('click', () => this.hideRestoreModal());
+        document.getElementById('cancel-restore-btn').addEventListener('click', () => this.hideRestoreModal());
+        document.getElementById('confirm-restore').addEventListener('click', () => this.confirmRestore());
+
+        // Conflicts
+        document.getElementById('review-conflicts-btn').addEventListener('click', () => this.showConflictsModal());
+        document.getElementById('close-conflicts').addEventListener('click', () => this.hideConflictsModal());
+        document.getElementById('conflict-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-choice]');
+            if (button) {
+                this.resolveConflict(Number(button.getAttribute('data-index')), button.getAttribute('data-choice'));
+            }
+        });
+
+        // CSV Report Modal
+        document.getElementById('close-csv-report').addEventListener('click', () => this.hideCsvReport());
+        document.getElementById('confirm-csv-report').addEventListener('click', () => this.hideCsvReport());
+    }
+
+    setupToolbarEvents() {
+        document.getElementById('move-to-btn').addEventListener('click', () => this.showMoveToModal());
+        document.getElementById('delete-btn').addEventListener('click', () => this.deleteSelectedItems());
+        document.getElementById('rename-btn').addEventListener('click', () => this.showRenameModal());
+        document.getElementById('tags-btn').addEventListener('click', () => this.showTagsModal());
+        document.getElementById('playlist-add-btn').addEventListener('click', () => this.showAddToPlaylistModal());
+        document.getElementById('cancel-org-btn').addEventListener('click', () => this.cancelSelection());
+    }
+
+    setupMobileTabs() {
+        const tabs = document.querySelectorAll('.mobile-tab');
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const tabName = tab.getAttribute('data-tab');
+                
+                // Update active tab
+                tabs.forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+                
+                // Show corresponding content
+                document.querySelectorAll('.tab-content').forEach(content => {
+                    content.classList.remove('active');
+                });
+                document.getElementById(`${tabName}-tab`).classList.add('active');
+                this.updateAddMediaButton();
+            });
+        });
+    }
+
+    // NAVIGATION
+    navigateToFolder(folderId) {
+        if (this.searchQuery) {
+            this.clearSearch(false);
+        }
+        this.buildFolderUI(folderId);
+    }
+
+    // SEARCH
+    // Searches every folder name and media title in the vault. Results show
+    // in the normal grids with the folder path, so items play and select as
+    // usual; opening a folder result leaves the search.
+    setupSearch() {
+        const input = document.getElementById('search-input');
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(), 150);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+                input.blur();
+            }
+        });
+        ['search-type', 'search-scope'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.runSearch());
+        });
+    }
+
+    runSearch() {
+        const query = document.getElementById('search-input').value.trim();
+
+        if (!query) {
+            this.clearSearch();
+            return;
+        }
+
+        // "This folder" means the folder the search was started from
+        if (!this.searchQuery) {
+            this.searchScopeFolder = this.currentFolder;
+            const scopeName = this.folderStructure[this.currentFolder]?.name || 'Home';
+            document.getElementById('search-scope-current').textContent = `In ${scopeName}`;
+        }
+
+        this.searchQuery = query;
+        this.renderSearchResults();
+    }
+
+    clearSearch(rebuild = true) {
+        clearTimeout(this.searchTimer);
+        const wasSearching = !!this.searchQuery;
+        this.searchQuery = '';
+        document.getElementById('search-input').value = '';
+
+        if (rebuild && wasSearching) {
+            this.buildFolderUI(this.currentFolder);
+        }
+    }
+
+    findMatches(query, type, scopeFolder) {
+        const inScope = (folderId) => scopeFolder ? this.isFolderWithin(folderId, scopeFolder) : !this.isInTrash(folderId);
+        const byScore = (a, b) => b.score - a.score ||
+            a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+        const folders = [];
+        if (type === 'all' || type === 'folder') {
+            Object.entries(this.folderStructure).forEach(([folderId, folder]) => {
+                if (folderId === 'root' || folderId === scopeFolder || !inScope(folderId)) return;
+                const score = fuzzyMatch.score(query, folder.name);
+                if (score) folders.push({ folderId, name: folder.name, score });
+            });
+        }
+
+        const media = [];
+        if (type !== 'folder') {
+            Object.entries(this.mediaData).forEach(([folderId, items]) => {
+                if (!this.folderStructure[folderId] || !inScope(folderId)) return;
+                items.forEach(item => {
+                    if (type !== 'all' && item.type !== type) return;
+                    const score = fuzzyMatch.score(query, [item.title, ...(item.tags || [])].join(' '));
+                    if (score) media.push({ item, folderId, name: item.title || '', score });
+                });
+            });
+        }
+
+        return { folders: folders.sort(byScore), media: media.sort(byScore) };
+    }
+
+    renderSearchResults() {
+        const type = document.getElementById('search-type').value;
+        const scopeFolder = document.getElementById('search-scope').value === 'current'
+            ? this.searchScopeFolder
+            : null;
+        const { folders, media } = this.findMatches(this.searchQuery, type, scopeFolder);
+        // Rendering thousands of thumbnails at once would stall phones
+        const shownMedia = media.slice(0, this.searchResultLimit);
+        const total = folders.length + media.length;
+
+        const pathText = (folderId) => this.getFolderPath(folderId).map(part => part.name).join(' / ');
+
+        const frame = html`
+            <div class="folder-header">
+                <h2>Search results</h2>
+                <div class="header-actions">
+                    <span class="search-count">${total} found${media.length > shownMedia.length ? `, showing the first ${shownMedia.length} items` : ''}</span>
+                    <button class="btn-secondary" id="clear-search-btn">Clear</button>
+                </div>
+            </div>
+
+            ${folders.length ? html`
+                <div class="folders-grid" id="folders-container">
+                    ${folders.map(({ folderId, name }) => html`
+                        <div class="folder-item" data-folder-id="${folderId}" data-type="folder">
+                            <div class="folder-icon">📁</div>
+                            <div class="folder-name">${name}</div>
+                            <div class="search-path">${pathText(this.folderStructure[folderId].parent)}</div>
+                        </div>
+                    `)}
+                </div>
+            ` : ''}
+
+            ${shownMedia.length ? html`<div class="media-grid" id="media-container"></div>` : ''}
+
+            ${total === 0 ? html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <p>Nothing matches "${this.searchQuery}"</p>
+                    <p class="empty-state-hint">Try fewer words, or search all folders and types</p>
+                </div>
+            ` : ''}
+        `;
+
+        this.renderView('search', {
+            html: frame,
+            cells: shownMedia.length ? this.createMediaCells([{ entries: shownMedia }], ({ folderId }) =>
+                html`<div class="search-path">${pathText(folderId)}</div>`) : null
+        });
+    }
+
+    // MODAL MANAGEMENT
+    showCreateFolderModal() {
+        if (this.currentFolder === 'trash' || this.currentFolder === 'recent') {
+            alert(`Open a folder first; nothing can be added to ${this.currentFolder === 'trash' ? 'the Trash' : 'Recently played'}`);
+            return;
+        }
+        if (this.isSmartFolder(this.currentFolder)) {
+            alert('Smart folders fill themselves from their rules and can\'t hold subfolders');
+            return;
+        }
+        document.getElementById('create-folder-modal').classList.add('active');
+        document.getElementById('folder-name').focus();
+    }
+
+    hideCreateFolderModal() {
+        document.getElementById('create-folder-modal').classList.remove('active');
+        document.getElementById('folder-name').value = '';
+    }
+
+    showAddMediaModal() {
+        if (this.currentFolder === 'trash' || this.currentFolder === 'recent') {
+            alert(`Open a folder first; nothing can be added to ${this.currentFolder === 'trash' ? 'the Trash' : 'Recently played'}`);
+            return;
+        }
+        if (this.isSmartFolder(this.currentFolder)) {
+            alert('Smart folders fill themselves from their rules. Add media to a normal folder and tag it instead.');
+            return;
+        }
+
+        // Reset to single tab by default
+        document.querySelectorAll('.mobile-tab').forEach(tab => tab.classList.remove('active'));
+        document.querySelector('.mobile-tab[data-tab="single"]').classList.add('active');
+        
+        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+        document.getElementById('single-tab').classList.add('active');
+        
+        this.updateAddMediaButton();
+        document.getElementById('add-media-modal').classList.add('active');
+        document.getElementById('media-link').focus();
+    }
+
+    hideAddMediaModal() {
+        document.getElementById('add-media-modal').classList.remove('active');
+        document.getElementById('media-link').value = '';
+        document.getElementById('media-title').value = '';
+        document.getElementById('batch-links').value = '';
+        document.getElementById('batch-title').value = '';
+        document.getElementById('batch-tab').classList.remove('previewing');
+        this.batchRows = null;
+    }
+
+    showMoveToModal() {
+        const select = document.getElementById('target-folder');
+        select.innerHTML = '<option value="">Select target folder</option>';
+        
+        Object.keys(this.folderStructure).forEach(folderId => {
+            if (folderId !== this.currentFolder && 
+                !this.selectedItems.some(item => item.id === folderId) &&
+                folderId !== 'root' &&
+                !this.isSmartFolder(folderId) &&
+                !this.isInTrash(folderId)) {
+                const option = document.createElement('option');
+                option.value = folderId;
+                option.textContent = this.folderStructure[folderId].name;
+                select.appendChild(option);
+            }
+        });
+        
+        document.getElementById('move-to-modal').classList.add('active');
+    }
+
+    hideMoveToModal() {
+        document.getElementById('move-to-modal').classList.remove('active');
+    }
+
+    showRenameModal() {
+        if (this.selectedItems.length !== 1) {
+            alert('Please select exactly one item to rename');
+            return;
+        }
+        
+        const item = this.selectedItems[0];
+        const input = document.getElementById('rename-name');
+        
+        if (item.type === 'folder') {
+            input.value = this.folderStructure[item.id].name;
+        } else {
+            const media = this.mediaData[item.folderId]?.find(m => m.id === item.id);
+            input.value = media ? media.title : '';
+        }
+        
+        document.getElementById('rename-modal').classList.add('active');
+        input.focus();
+    }
+
+    hideRenameModal() {
+        document.getElementById('rename-modal').classList.remove('active');
+        document.getElementById('rename-name').value = '';
+    }
+
+    showSettingsModal() {
+        // Update storage status in settings
+        const statusEl = document.querySelector('#storage-status .status-text');
+        const iconEl = document.querySelector('#storage-status .status-icon');
+        const status = this.storage
+            ? this.storage.status()
+            : { ready: false, text: 'Not connected to Firebase' };
+        
+        statusEl.textContent = status.text;
+        iconEl.textContent = status.ready ? '✓' : '⚠️';
+
+        const github = this.storageConfig.github;
+        document.getElementById('storage-backend').value = this.storageConfig.backend;
+        document.getElementById('github-owner').value = github.owner || '';
+        document.getElementById('github-repo').value = github.repo || '';
+        document.getElementById('github-branch').value = github.branch || '';
+        document.getElementById('github-path').value = github.path || '';
+        // A saved token is never shown; leaving the field empty keeps it
+        document.getElementById('github-token').value = '';
+        document.getElementById('github-remember').checked = Boolean(localStorage.getItem('mv_github_token'));
+        this.updateStorageForm();
+
+        this.updateEncryptionForm();
+        this.renderDevices();
+
+        const lockSettings = accessLock.settings();
+        document.getElementById('idle-lock').value = String(lockSettings.idleMinutes);
+        document.getElementById('lock-when-hidden').checked = lockSettings.lockWhenHidden;
+        
+        document.getElementById('settings-modal').classList.add('active');
+    }
+
+    updateStorageForm() {
+        const backend = document.getElementById('storage-backend').value;
+        document.getElementById('github-settings').style.display = backend === 'github' ? 'block' : 'none';
+    }
+
+    readStorageForm() {
+        const value = id => document.getElementById(id).value.trim();
+        return {
+            backend: value('storage-backend'),
+            github: {
+                owner: value('github-owner'),
+                repo: value('github-repo'),
+                branch: value('github-branch') || 'main',
+                path: value('github-path') || 'vault.json',
+                token: value('github-token')
+            }
+        };
+    }
+
+    // Copies the current vault into the new backend if it has none yet,
+    // then reloads so every listener is rebuilt against the new backend
+    async switchStorageBackend() {
+        const config = this.readStorageForm();
+        const button = document.getElementById('apply-storage-btn');
+        const remember = document.getElementById('github-remember').checked;
+
+        if (config.backend === 'github' && !config.github.token) {
+            config.github.token = this.storage instanceof GitHubStorageAdapter ? this.storage.config.token : '';
+        }
+        if (config.backend === 'github' && (!config.github.owner || !config.github.repo || !config.github.token)) {
+            alert('Please enter the GitHub owner, repository and access token');
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            if (config.backend === 'firestore') {
+                await this.initializeFirebase();
+            }
+
+            const adapter = this.createStorageAdapter(config);
+            if (!adapter || !adapter.isReady()) {
+                throw new Error('Backend is not available');
+            }
+
+            const existing = await adapter.load();
+            if (!existing) {
+                await adapter.save({
+                    ...this.getVaultData(),
+                    lastUpdated: new Date().toISOString(),
+                    version: '1.0'
+                });
+            } else if (!confirm('That backend already holds a vault. Switch to it? Your current vault stays where it is.')) {
+                return;
+            }
+
+            const { token, ...github } = config.github;
+            localStorage.setItem('mv_storage', JSON.stringify({ ...config, github }));
+            await this.storeGitHubToken(config.backend === 'github' ? token : '', remember);
+            localStorage.removeItem('mv_local_backup');
+            // Queued changes belong to the old backend; the copy above already has them
+            await vaultDB.clear('operations').catch(() => {});
+            window.location.reload();
+        } catch (error) {
+            console.error('Switching storage failed:', error);
+            alert(`Could not switch storage: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // ENCRYPTION (see END-TO-END ENCRYPTION)
+    // Returns true if the error means the vault needs a passphrase
+    noteVaultKeyError(error) {
+        if (!(error instanceof VaultKeyError)) return false;
+        this.vaultKeyError = error;
+        this.updateSyncStatus('error', 'Vault is encrypted - enter the passphrase in Settings');
+        return true;
+    }
+
+    encryptionMode() {
+        if (this.vaultKeyError) return 'unlock';
+        return vaultCipher.active() ? 'change' : 'enable';
+    }
+
+    updateEncryptionForm() {
+        const mode = this.encryptionMode();
+        const status = {
+            unlock: 'This vault is encrypted. Enter its passphrase to open it on this device.',
+            change: `On - key ${vaultCipher.keyId}. Titles, folder names and file IDs are encrypted before they are saved.`,
+            enable: 'Off - the vault is saved as plain text.'
+        };
+        const labels = { unlock: 'Unlock vault', change: 'Change passphrase', enable: 'Turn on encryption' };
+
+        document.getElementById('encryption-status').textContent = status[mode];
+        document.getElementById('encryption-btn').textContent = labels[mode];
+        document.getElementById('vault-passphrase-current').style.display = mode === 'change' ? 'block' : 'none';
+        document.getElementById('vault-passphrase-confirm').style.display = mode === 'unlock' ? 'none' : 'block';
+        document.getElementById('replace-key-option').style.display = mode === 'change' ? 'flex' : 'none';
+    }
+
+    async applyEncryption() {
+        const mode = this.encryptionMode();
+        const current = document.getElementById('vault-passphrase-current');
+        const passphrase = document.getElementById('vault-passphrase');
+        const confirmation = document.getElementById('vault-passphrase-confirm');
+        const replaceKey = document.getElementById('replace-key').checked;
+        const button = document.getElementById('encryption-btn');
+
+        if (mode !== 'unlock') {
+            if (passphrase.value.length < vaultCipher.minLength) {
+                alert(`Please use a passphrase of at least ${vaultCipher.minLength} characters`);
+                return;
+            }
+            if (passphrase.value !== confirmation.value) {
+                alert('The passphrases do not match');
+                return;
+            }
+        }
+        if (mode === 'enable' &&
+            !confirm('Encrypt the vault with this passphrase? Every other device will need it, and a lost passphrase cannot be recovered.')) {
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            if (mode === 'unlock') {
+                if (!this.vaultKeyError.encryption) {
+                    throw new Error('The key information could not be read. Reload the page and try again.');
+                }
+                await vaultCipher.unlock(passphrase.value, this.vaultKeyError.encryption);
+                this.vaultKeyError = null;
+                await this.loadData();
+                this.buildFolderUI(this.folderStructure[this.currentFolder] ? this.currentFolder : 'root');
+                await this.refreshPendingCount();
+                if (this.pendingOperations > 0) this.replayOperationQueue();
+                this.showMessage('Vault unlocked');
+            } else {
+                if (mode === 'enable') {
+                    await vaultCipher.create(passphrase.value);
+                } else {
+                    await vaultCipher.changePassphrase(current.value, passphrase.value, replaceKey);
+                }
+                if (!await this.saveData()) {
+                    throw new Error('The key was changed on this device, but the vault could not be saved yet. It will be re-encrypted on the next save.');
+                }
+                this.showMessage(mode === 'enable' ? 'Vault encrypted' :
+                    replaceKey ? 'Vault re-encrypted with a new key' : 'Passphrase changed');
+            }
+            await this.resealGitHubToken();
+            current.value = '';
+            passphrase.value = '';
+            confirmation.value = '';
+            document.getElementById('replace-key').checked = false;
+        } catch (error) {
+            console.error('Encryption change failed:', error);
+            alert(error.message);
+        } finally {
+            button.disabled = false;
+            this.updateEncryptionForm();
+        }
+    }
+
+    // DEVICE PAIRING
+    // The Firestore vault lives under a vault id, not under this browser's
+    // anonymous uid. A new device joins with a one-time code created on a
+    // device that already has the vault; every device is listed under
+    // mediaVault/{vaultId}/devices/{uid} and can be removed from there.
+    // firestore.rules only lets listed devices read or write the vault.
+    getVaultId() {
+        let vaultId = localStorage.getItem('mv_vault_id');
+        if (!vaultId && this.userId) {
+            // Existing vaults were keyed by the uid of the device that made them
+            vaultId = this.userId;
+            localStorage.setItem('mv_vault_id', vaultId);
+        }
+        return vaultId;
+    }
+
+    get devicesRef() {
+        return this.db.collection('mediaVault').doc(this.getVaultId()).collection('devices');
+    }
+
+    describeDevice() {
+        const agent = navigator.userAgent;
+        const platform = ['iPhone', 'iPad', 'Android', 'Windows', 'Mac', 'Linux', 'CrOS']
+            .find(name => agent.includes(name)) || 'Device';
+        const browser = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Firefox', 'Firefox'], ['Chrome', 'Chrome'], ['Safari', 'Safari']]
+            .find(([token]) => agent.includes(token));
+        return browser ? `${platform === 'CrOS' ? 'ChromeOS' : platform} · ${browser[1]}` : platform;
+    }
+
+    // Adds this device to the vault's list (or refreshes it) and watches for
+    // it being removed from another device
+    async registerDevice(pairingCode = null) {
+        if (!this.db || !this.userId) return;
+
+        const deviceRef = this.devicesRef.doc(this.userId);
+        try {
+            const batch = this.db.batch();
+            batch.set(deviceRef, {
+                name: this.describeDevice(),
+                lastSeen: new Date().toISOString(),
+                ...(pairingCode ? { pairingCode, pairedAt: new Date().toISOString() } : {})
+            }, { merge: true });
+            // Codes work once: the rules only admit a device that marks its
+            // code used in the same write
+            if (pairingCode) {
+                batch.update(this.db.collection('pairings').doc(pairingCode), { usedBy: this.userId });
+            }
+            await batch.commit();
+        } catch (error) {
+            // The rules refuse a device that was removed while it was offline
+            if (error.code === 'permission-denied' && this.getVaultId() !== this.userId) {
+                this.handleDeviceRemoved();
+                return;
+            }
+            console.error('Could not register this device:', error);
+            return;
+        }
+
+        if (this.stopDeviceWatch) this.stopDeviceWatch();
+        this.stopDeviceWatch = deviceRef.onSnapshot((doc) => {
+            if (!doc.exists && !doc.metadata.hasPendingWrites) {
+                this.handleDeviceRemoved();
+            }
+        }, (error) => console.error('Device watch failed:', error));
+    }
+
+    async handleDeviceRemoved() {
+        if (this.deviceRemoved) return;
+        this.deviceRemoved = true;
+        if (this.stopDeviceWatch) this.stopDeviceWatch();
+        if (this.unsubscribe) this.unsubscribe();
+        await this.leaveVault();
+        alert('This device was removed from the vault on another device. It will start with an empty vault; pair it again to get the shared one back.');
+        window.location.reload();
+    }
+
+    // Drops everything this device kept for the current vault
+    async leaveVault() {
+        localStorage.removeItem('mv_vault_id');
+        localStorage.removeItem('mv_local_backup');
+        await vaultDB.clear('operations').catch(() => {});
+        await vaultCipher.forget().catch(() => {});
+    }
+
+    async renderDevices() {
+        const list = document.getElementById('device-list');
+        const available = this.storageConfig.backend === 'firestore' && this.db && this.userId;
+
+        document.getElementById('pairing-actions').style.display = available ? 'block' : 'none';
+        document.getElementById('vault-id-text').textContent = available
+            ? `Vault ${this.getVaultId()}`
+            : 'Pairing devices needs the Firebase storage backend.';
+        if (!available) {
+            list.innerHTML = '';
+            return;
+        }
+
+        try {
+            const snapshot = await this.devicesRef.get();
+            const devices = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+            list.innerHTML = devices.map(device => {
+                const isThis = device.id === this.userId;
+                // The vault's first device owns it and can't be removed
+                const isOwner = device.id === this.getVaultId();
+                const seen = device.lastSeen ? new Date(device.lastSeen).toLocaleString() : 'never';
+                return html`
+                    <li class="device-item">
+                        <div>
+                            <strong>${device.name || 'Unknown device'}</strong>
+                            ${isThis ? html`<span class="device-tag">This device</span>` : ''}
+                            ${isOwner ? html`<span class="device-tag">Original</span>` : ''}
+                            <div class="hint-text">Last seen ${seen}</div>
+                        </div>
+                        ${isOwner ? '' : html`<button class="btn-secondary" data-device="${device.id}">${isThis ? 'Leave' : 'Remove'}</button>`}
+                    </li>
+                `;
+            }).join('') || '<li class="hint-text">No devices registered yet.</li>';
+        } catch (error) {
+            console.error('Could not list devices:', error);
+            list.innerHTML = '<li class="hint-text">Could not load the device list.</li>';
+        }
+    }
+
+    async revokeDevice(deviceId) {
+        const isThis = deviceId === this.userId;
+        if (!confirm(isThis
+            ? 'Leave this vault? This device will start with an empty vault.'
+            : 'Remove this device? It loses access to the vault and has to be paired again.')) {
+            return;
+        }
+
+        try {
+            // The removed device notices through its own watch; this one is handled here
+            if (isThis && this.stopDeviceWatch) this.stopDeviceWatch();
+            await this.devicesRef.doc(deviceId).delete();
+            if (isThis) {
+                await this.leaveVault();
+                window.location.reload();
+                return;
+            }
+            this.showMessage('Device removed');
+            this.renderDevices();
+        } catch (error) {
+            console.error('Removing device failed:', error);
+            alert(`Could not remove the device: ${error.message}`);
+        }
+    }
+
+    async createPairingCode() {
+        // No 0/O or 1/I/L, so codes survive being read out loud
+        const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        const code = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+
+        try {
+            await this.db.collection('pairings').doc(code).set({
+                vaultId: this.getVaultId(),
+                createdBy: this.userId,
+                expires: Date.now() + 10 * 60 * 1000
+            });
+        } catch (error) {
+            console.error('Creating a pairing code failed:', error);
+            alert(`Could not create a pairing code: ${error.message}`);
+            return;
+        }
+
+        const shown = `${code.slice(0, 4)}-${code.slice(4)}`;
+        document.getElementById('pairing-code').textContent = shown;
+        document.getElementById('pairing-link').value =
+            `${window.location.origin}${window.location.pathname}#pair=${shown}`;
+        document.getElementById('pairing-code-box').style.display = 'block';
+    }
+
+    async copyPairingLink() {
+        const link = document.getElementById('pairing-link');
+        try {
+            await navigator.clipboard.writeText(link.value);
+            this.showMessage('Pairing link copied');
+        } catch (error) {
+            link.select();
+        }
+    }
+
+    // Opening a pairing link fills in the code; joining still needs a tap
+    checkPairingLink() {
+        const match = window.location.hash.match(/^#pair=([A-Za-z0-9-]+)$/);
+        if (!match) return;
+
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.showSettingsModal();
+        document.getElementById('join-code').value = match[1];
+        this.showMessage('Tap "Join vault" to pair this device');
+    }
+
+    async joinVault() {
+        const code = document.getElementById('join-code').value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+        if (code.length !== 8) {
+            alert('Please enter the 8-character pairing code');
+            return;
+        }
+        if (!this.db || !this.userId) {
+            alert('Pairing needs the Firebase storage backend and a connection');
+            return;
+        }
+
+        try {
+            const pairingRef = this.db.collection('pairings').doc(code);
+            const pairing = await pairingRef.get();
+            if (!pairing.exists || pairing.data().expires < Date.now() || pairing.data().usedBy) {
+                alert('This pairing code is invalid, has expired or was already used. Create a new one on the other device.');
+                return;
+            }
+
+            const { vaultId } = pairing.data();
+            if (vaultId === this.getVaultId()) {
+                alert('This device is already paired with that vault');
+                return;
+            }
+            if (!confirm('Join the other vault? The vault currently on this device stays in the cloud but is no longer shown here.')) {
+                return;
+            }
+
+            if (this.stopDeviceWatch) this.stopDeviceWatch();
+            await this.leaveVault();
+            localStorage.setItem('mv_vault_id', vaultId);
+            await this.registerDevice(code);
+            window.location.reload();
+        } catch (error) {
+            console.error('Joining vault failed:', error);
+            alert(`Could not join the vault: ${error.message}`);
+        }
+    }
+
+    hideSettingsModal() {
+        document.getElementById('settings-modal').classList.remove('active');
+    }
+
+    hideAllModals() {
+        this.hideLightbox();
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.classList.remove('active');
+        });
+    }
+
+    // FOLDER VIEW
+    // Sort, group and type filter are kept per folder in folder.view, so
+    // they sync with the folder. Only the way it's shown changes; the stored
+    // order of items and subfolders stays as it is.
+    getFolderView(folder) {
+        return { sort: 'manual', group: 'none', filter: 'all', ...(folder && folder.view) };
+    }
+
+    createViewControls(folderId, cells) {
+        const view = this.getFolderView(this.folderStructure[folderId]);
+        // Play / shuffle only show up when there's a video to play
+        const hidden = (cells || []).some(cell => cell.entry && cell.entry.media.type === 'video') ? '' : html`style="display: none;"`;
+        const options = (values, current) => values.map(([value, label]) =>
+            html`<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`
+        );
+
+        return html`
+            <div class="view-controls">
+                <select id="view-sort" title="Sort">
+                    ${options([
+                        ['manual', 'Folder order'],
+                        ['title', 'Title A–Z'],
+                        ['title-desc', 'Title Z–A'],
+                        ['newest', 'Newest first'],
+                        ['oldest', 'Oldest first'],
+                        ['type', 'Type'],
+                        ['played', 'Last played']
+                    ], view.sort)}
+                </select>
+                <select id="view-group" title="Group">
+                    ${options([
+                        ['none', 'No grouping'],
+                        ['type', 'Group by type'],
+                        ['month', 'Group by month added']
+                    ], view.group)}
+                </select>
+                <select id="view-filter" title="Show">
+                    ${options([
+                        ['all', 'All types'],
+                        ['video', 'Videos'],
+                        ['image', 'Images']
+                    ], view.filter)}
+                </select>
+                <button class="btn-secondary" id="play-folder-btn" title="Play the videos in this order" ${hidden}>▶ Play</button>
+                <button class="btn-secondary" id="shuffle-folder-btn" title="Play the videos in random order" ${hidden}>🔀 Shuffle</button>
+            </div>
+        `;
+    }
+
+    async setFolderView(folderId) {
+        const view = {
+            sort: document.getElementById('view-sort').value,
+            group: document.getElementById('view-group').value,
+            filter: document.getElementById('view-filter').value
+        };
+        const isDefault = view.sort === 'manual' && view.group === 'none' && view.filter === 'all';
+
+        // Applied right away; rebuild without waiting for the save
+        const saved = this.commitOperation({ type: 'setView', folderId, view: isDefault ? null : view });
+        this.buildFolderUI(folderId);
+        await saved;
+    }
+
+    compareTitles(a, b) {
+        return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    // Subfolders only follow the title sorts; the others are about media
+    sortFolderIds(folderIds, view) {
+        const name = id => this.folderStructure[id] ? this.folderStructure[id].name : '';
+        if (view.sort === 'title') {
+            return [...folderIds].sort((a, b) => this.compareTitles(name(a), name(b)));
+        }
+        if (view.sort === 'title-desc') {
+            return [...folderIds].sort((a, b) => this.compareTitles(name(b), name(a)));
+        }
+        return folderIds;
+    }
+
+    // [{ item, folderId }] -> [{ label, entries }]; label is null without grouping
+    arrangeMedia(entries, view) {
+        const filtered = view.filter === 'all'
+            ? entries
+            : entries.filter(({ item }) => item.type === view.filter);
+
+        const byDate = field => (a, b) => String(b.item[field] || '').localeCompare(String(a.item[field] || ''));
+        const comparators = {
+            title: (a, b) => this.compareTitles(a.item.title, b.item.title),
+            'title-desc': (a, b) => this.compareTitles(b.item.title, a.item.title),
+            newest: byDate('added'),
+            oldest: (a, b) => byDate('added')(b, a),
+            type: (a, b) => String(a.item.type).localeCompare(String(b.item.type)),
+            // Never played sorts last
+            played: byDate('lastPlayed')
+        };
+        const sorted = comparators[view.sort] ? [...filtered].sort(comparators[view.sort]) : filtered;
+
+        if (view.group === 'none') {
+            return sorted.length ? [{ label: null, entries: sorted }] : [];
+        }
+
+        const labelFor = ({ item }) => {
+            if (view.group === 'type') {
+                return item.type === 'video' ? 'Videos' : 'Images';
+            }
+            const added = new Date(item.added);
+            return isNaN(added) ? 'Unknown date' : added.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        };
+        const sortKey = ({ item }) => view.group === 'type' ? item.type : String(item.added || '').slice(0, 7);
+
+        const groups = new Map();
+        sorted.forEach(entry => {
+            const label = labelFor(entry);
+            if (!groups.has(label)) groups.set(label, { label, key: sortKey(entry), entries: [] });
+            groups.get(label).entries.push(entry);
+        });
+
+        // Months newest first, types alphabetically
+        return [...groups.values()].sort((a, b) => view.group === 'month'
+            ? b.key.localeCompare(a.key)
+            : a.key.localeCompare(b.key));
+    }
+
+    // TAGS & SMART FOLDERS
+    // Tags are free-form labels on media items. A smart folder is a folder
+    // with a saved query ({ tags, match, type, addedWithin, text }) instead
+    // of media of its own; its contents are computed whenever it is shown,
+    // and like any folder it syncs as part of folderStructure.
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+        return list
+            .map(tag => String(tag).trim().replace(/\s+/g, ' ').slice(0, 40))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Every tag in the vault with the number of items carrying it, most used first
+    getAllTags() {
+        const counts = new Map();
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            if (this.isInTrash(folderId)) return;
+            items.forEach(item => (item.tags || []).forEach(tag => {
+                const key = tag.toLowerCase();
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            }));
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    appendTagToInput(inputId, tag) {
+        const input = document.getElementById(inputId);
+        input.value = this.normalizeTags([...this.normalizeTags(input.value), tag]).join(', ');
+        input.focus();
+    }
+
+    isSmartFolder(folderId) {
+        return Boolean(this.folderStructure[folderId] && this.folderStructure[folderId].smart);
+    }
+
+    matchesSmartQuery(item, query) {
+        if (query.type && query.type !== 'all' && item.type !== query.type) return false;
+
+        if (query.addedWithin) {
+            const added = Date.parse(item.added);
+            if (!added || Date.now() - added > query.addedWithin * 24 * 60 * 60 * 1000) return false;
+        }
+
+        const wanted = (query.tags || []).map(tag => tag.toLowerCase());
+        if (wanted.length) {
+            const tags = (item.tags || []).map(tag => tag.toLowerCase());
+            const matches = query.match === 'all'
+                ? wanted.every(tag => tags.includes(tag))
+                : wanted.some(tag => tags.includes(tag));
+            if (!matches) return false;
+        }
+
+        return !query.text || fuzzyMatch.score(query.text, item.title) > 0;
+    }
+
+    // [{ item, folderId }] from every normal folder, in vault order
+    getSmartFolderItems(folder) {
+        const results = [];
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            if (!this.folderStructure[folderId] || this.isSmartFolder(folderId) || this.isInTrash(folderId)) return;
+            items.forEach(item => {
+                if (this.matchesSmartQuery(item, folder.smart)) {
+                    results.push({ item, folderId });
+                }
+            });
+        });
+        return results;
+    }
+
+    describeSmartQuery(query) {
+        const parts = [];
+        if (query.tags && query.tags.length) {
+            parts.push(`tagged ${query.tags.join(query.match === 'all' ? ' and ' : ' or ')}`);
+        }
+        if (query.type && query.type !== 'all') parts.push(`${query.type}s only`);
+        if (query.addedWithin) parts.push(`added in the last ${query.addedWithin} day(s)`);
+        if (query.text) parts.push(`title like "${query.text}"`);
+        return parts.length ? parts.join(', ') : 'Everything in the vault';
+    }
+
+    createSmartFolderUI(folder, folderId) {
+        const media = this.createMediaGrid(folderId);
+        const frame = html`
+            <div class="folder-header">
+                <div>
+                    <h2>✨ ${folder.name}</h2>
+                    <p class="smart-folder-query">${this.describeSmartQuery(folder.smart)}</p>
+                </div>
+                ${this.createViewControls(folderId, media.cells)}
+                <div class="header-actions">
+                    <button class="btn-secondary" id="edit-smart-btn">Edit rules</button>
+                </div>
+            </div>
+
+            <div class="media-grid" id="media-container">${media.html}</div>
+        `;
+        return { html: frame, cells: media.cells };
+    }
+
+    showTagsModal() {
+        const items = this.selectedItems.filter(item => item.type === 'media');
+        if (items.length === 0) {
+            alert('Please select one or more media items to tag');
+            return;
+        }
+
+        // Tags already on the selection, with how many of the items have them
+        const counts = new Map();
+        items.forEach(({ id, folderId }) => {
+            const media = this.mediaData[folderId]?.find(m => m.id === id);
+            (media?.tags || []).forEach(tag => {
+                const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+                entry.count++;
+                counts.set(tag.toLowerCase(), entry);
+            });
+        });
+
+        document.getElementById('tags-modal-title').textContent =
+            items.length === 1 ? 'Edit Tags' : `Edit Tags (${items.length} items)`;
+        document.getElementById('tag-chips').innerHTML = counts.size
+            ? [...counts.values()].map(({ tag, count }) => html`
+                <button class="tag-chip" data-tag="${tag}" title="Click to remove">
+                    ${tag}${items.length > 1 ? html` <small>${count}/${items.length}</small>` : ''} ✕
+                </button>
+            `).join('')
+            : '<p class="hint-text">No tags yet</p>';
+        document.getElementById('known-tags').innerHTML = this.getAllTags().slice(0, 30)
+            .filter(({ tag }) => !counts.has(tag.toLowerCase()))
+            .map(({ tag }) => html`<button class="tag-chip tag-suggestion" data-tag="${tag}">+ ${tag}</button>`)
+            .join('');
+
+        document.getElementById('tags-modal').classList.add('active');
+        document.getElementById('tags-input').focus();
+    }
+
+    hideTagsModal() {
+        document.getElementById('tags-modal').classList.remove('active');
+        document.getElementById('tags-input').value = '';
+    }
+
+    async applyTags() {
+        const add = this.normalizeTags(document.getElementById('tags-input').value);
+        const remove = [...document.querySelectorAll('#tag-chips .tag-chip.removed')]
+            .map(chip => chip.getAttribute('data-tag'));
+        const items = this.selectedItems
+            .filter(item => item.type === 'media')
+            .map(({ id, type, folderId }) => ({ id, type, folderId }));
+
+        if (add.length || remove.length) {
+            await this.commitOperation({ type: 'tag', items, add, remove });
+        }
+        this.hideTagsModal();
+        this.cancelSelection();
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    showSmartFolderModal(folderId = null) {
+        const query = folderId ? this.folderStructure[folderId].smart : {};
+
+        this.editingSmartFolder = folderId;
+        document.getElementById('smart-folder-title').textContent = folderId ? 'Edit Smart Folder' : 'Create Smart Folder';
+        document.getElementById('confirm-smart-folder').textContent = folderId ? 'Save' : 'Create';
+        document.getElementById('smart-name').value = folderId ? this.folderStructure[folderId].name : '';
+        document.getElementById('smart-tags').value = (query.tags || []).join(', ');
+        document.getElementById('smart-match').value = query.match || 'any';
+        document.getElementById('smart-type').value = query.type || 'all';
+        document.getElementById('smart-added').value = String(query.addedWithin || 0);
+        document.getElementById('smart-text').value = query.text || '';
+
+        const known = this.getAllTags().slice(0, 12).map(({ tag }) => tag);
+        document.getElementById('smart-tags').placeholder = known.length
+            ? `Tags, e.g. ${known.slice(0, 3).join(', ')}`
+            : 'Tags (comma separated)';
+
+        document.getElementById('smart-folder-modal').classList.add('active');
+        document.getElementById('smart-name').focus();
+    }
+
+    hideSmartFolderModal() {
+        document.getElementById('smart-folder-modal').classList.remove('active');
+        this.editingSmartFolder = null;
+    }
+
+    async saveSmartFolder() {
+        const name = document.getElementById('smart-name').value.trim();
+        if (!name) {
+            alert('Please enter a folder name');
+            return;
+        }
+
+        const smart = {
+            tags: this.normalizeTags(document.getElementById('smart-tags').value),
+            match: document.getElementById('smart-match').value,
+            type: document.getElementById('smart-type').value,
+            addedWithin: parseInt(document.getElementById('smart-added').value, 10) || 0,
+            text: document.getElementById('smart-text').value.trim()
+        };
+
+        if (this.editingSmartFolder) {
+            await this.commitOperation({ type: 'editSmartFolder', folderId: this.editingSmartFolder, name, smart });
+        } else {
+            // Smart folders can't contain folders, so create next to the current one
+            const parent = this.isSmartFolder(this.currentFolder)
+                ? this.folderStructure[this.currentFolder].parent
+                : this.currentFolder;
+            await this.commitOperation({ type: 'createFolder', folderId: 'folder-' + Date.now(), name, parent, smart });
+        }
+        this.hideSmartFolderModal();
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    // DUPLICATES
+    // The same file can end up in the vault more than once (pasted twice,
+    // or repeated across CSV files). Adding warns about it, and Settings →
+    // Find duplicates lists every file ID with more than one copy. Copies
+    // kept on purpose are remembered in allowedDuplicates with the folders
+    // they were in, so they are reported again only if that changes.
+    findCopies(fileId) {
+        return this.indexCopies().get(fileId) || [];
+    }
+
+    // One pass over the vault for callers that look up many files at once
+    indexCopies() {
+        const copies = new Map();
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            if (!this.folderStructure[folderId] || this.isInTrash(folderId)) return;
+            items.forEach(item => {
+                if (!copies.has(item.id)) copies.set(item.id, []);
+                copies.get(item.id).push({ folderId, item });
+            });
+        });
+        return copies;
+    }
+
+    describeCopies(copies) {
+        return copies.map(({ folderId, item }) =>
+            `• ${this.getFolderPath(folderId).map(part => part.name).join(' / ')}: "${item.title || 'Untitled'}"`
+        ).join('\n');
+    }
+
+    copyFolderKey(copies) {
+        return copies.map(copy => copy.folderId).sort();
+    }
+
+    findDuplicates() {
+        const byId = new Map();
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            if (!this.folderStructure[folderId] || this.isInTrash(folderId)) return;
+            items.forEach(item => {
+                if (!byId.has(item.id)) byId.set(item.id, []);
+                byId.get(item.id).push({ folderId, item });
+            });
+        });
+
+        return [...byId.entries()]
+            .filter(([fileId, copies]) => copies.length > 1 &&
+                !vaultMerge.same(this.allowedDuplicates[fileId], this.copyFolderKey(copies)))
+            .map(([fileId, copies]) => ({ fileId, copies }));
+    }
+
+    showDuplicatesModal() {
+        this.renderDuplicates();
+        document.getElementById('duplicates-modal').classList.add('active');
+    }
+
+    hideDuplicatesModal() {
+        document.getElementById('duplicates-modal').classList.remove('active');
+    }
+
+    renderDuplicates() {
+        const groups = this.findDuplicates();
+        const list = document.getElementById('duplicate-list');
+
+        document.getElementById('duplicate-summary').textContent = groups.length
+            ? `${groups.length} file(s) are in the vault more than once. Pick the copy to keep, then resolve each one.`
+            : 'No duplicates found.';
+
+        list.innerHTML = groups.map(({ fileId, copies }) => {
+            const titles = [...new Set(copies.map(({ item }) => item.title || 'Untitled'))];
+            return html`
+                <li class="conflict-item duplicate-group" data-file-id="${fileId}">
+                    <p><code>${fileId}</code></p>
+                    ${copies.map(({ folderId, item }, index) => html`
+                        <label class="setting-check">
+                            <input type="radio" name="keep-${fileId}" value="${index}" ${index === 0 ? 'checked' : ''} />
+                            ${this.getFolderPath(folderId).map(part => part.name).join(' / ')}:
+                            "${item.title || 'Untitled'}"
+                            ${item.tags && item.tags.length ? html`<span class="hint-text">${item.tags.join(', ')}</span>` : ''}
+                        </label>
+                    `)}
+                    ${titles.length > 1 ? html`
+                        <select class="duplicate-title" title="Title after merging">
+                            ${titles.map(title => html`<option>${title}</option>`)}
+                        </select>
+                    ` : ''}
+                    <div class="setting-actions">
+                        <button class="btn-secondary" data-dup-action="keep">Keep only this copy</button>
+                        <button class="btn-secondary" data-dup-action="merge">Merge titles &amp; tags into it</button>
+                        <button class="btn-secondary" data-dup-action="allow">Keep in all folders</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async resolveDuplicate(fileId, action) {
+        const copies = this.findCopies(fileId);
+        if (copies.length < 2) {
+            this.renderDuplicates();
+            return;
+        }
+
+        if (action === 'allow') {
+            await this.commitOperation({ type: 'allowDuplicate', id: fileId, folders: this.copyFolderKey(copies) });
+        } else {
+            const group = [...document.querySelectorAll('#duplicate-list [data-file-id]')]
+                .find(element => element.getAttribute('data-file-id') === fileId);
+            const checked = group.querySelector('input[type="radio"]:checked');
+            const kept = copies[checked ? parseInt(checked.value, 10) : 0] || copies[0];
+            const operation = { type: 'dedupe', id: fileId, keep: { folderId: kept.folderId, added: kept.item.added } };
+
+            if (action === 'merge') {
+                const titleSelect = group.querySelector('.duplicate-title');
+                operation.title = titleSelect ? titleSelect.value : kept.item.title;
+                operation.tags = this.normalizeTags(copies.flatMap(({ item }) => item.tags || []));
+            }
+            await this.commitOperation(operation);
+        }
+
+        this.renderDuplicates();
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    // TRASH
+    // Deleting moves folders and media into a Trash folder that sits beside
+    // Home (parent null). Each trashed folder or item keeps trashed.from and
+    // trashed.path, the folder it came from and that folder's path as text
+    // for when the folder itself is gone. Restoring puts things back there or
+    // in a chosen folder; purging deletes them for good. Whichever device
+    // opens the vault purges anything older than trashRetention days
+    // (0 keeps everything).
+    ensureTrash() {
+        if (!this.folderStructure['trash']) {
+            this.folderStructure['trash'] = { name: 'Trash', parent: null, children: [] };
+        }
+        this.mediaData['trash'] = this.mediaData['trash'] || [];
+        return this.folderStructure['trash'];
+    }
+
+    // True for the Trash folder and everything in it
+    isInTrash(folderId) {
+        return this.isFolderWithin(folderId, 'trash');
+    }
+
+    // The chosen folder, else the one the item came from; Home when that
+    // folder is gone, in the Trash too, or a smart folder
+    trashDestination(trashed, target) {
+        const folderId = target || (trashed && trashed.from);
+        const folder = this.folderStructure[folderId];
+        return folder && !folder.smart && !this.isInTrash(folderId) ? folderId : 'root';
+    }
+
+    // What is directly in the Trash, most recently deleted first
+    getTrashEntries() {
+        const bin = this.folderStructure['trash'];
+        if (!bin) return [];
+
+        const folders = (bin.children || []).filter(id => this.folderStructure[id]).map(id => {
+            const folder = this.folderStructure[id];
+            const subfolders = Object.keys(this.folderStructure).filter(other => other !== id && this.isFolderWithin(other, id));
+            const itemCount = [id, ...subfolders].reduce((sum, folderId) => sum + (this.mediaData[folderId] || []).length, 0);
+            return {
+                ref: { type: 'folder', id },
+                name: folder.name,
+                icon: folder.smart ? '✨' : '📁',
+                trashed: folder.trashed || {},
+                contents: folder.smart ? 'Smart folder' : `${subfolders.length} subfolder(s), ${itemCount} item(s)`
+            };
+        });
+        const media = (this.mediaData['trash'] || []).map(item => ({
+            ref: { type: 'media', id: item.id, added: item.added },
+            name: item.title || 'Untitled',
+            icon: item.type === 'video' ? '🎬' : '🖼️',
+            trashed: item.trashed || {}
+        }));
+
+        return [...folders, ...media].sort((a, b) => String(b.trashed.at || '').localeCompare(String(a.trashed.at || '')));
+    }
+
+    describeTrashEntry(entry) {
+        const { at, from, path } = entry.trashed;
+        const origin = this.folderStructure[from] && !this.isInTrash(from)
+            ? this.getFolderPath(from).map(part => part.name).join(' / ')
+            : `${path || 'Home'} (gone, restores to Home)`;
+        const days = Math.floor((Date.now() - Date.parse(at)) / (24 * 60 * 60 * 1000));
+        const parts = [`From ${origin}`];
+        if (entry.contents) parts.push(entry.contents);
+        if (!isNaN(days)) {
+            parts.push(days < 1 ? 'deleted today' : `deleted ${days} day(s) ago`);
+            if (this.trashRetention) {
+                const left = Math.max(1, this.trashRetention - days);
+                parts.push(`purged in ${left} day(s)`);
+            }
+        }
+        return parts.join(' · ');
+    }
+
+    createTrashUI() {
+        const entries = this.getTrashEntries();
+        const retention = [[7, 'Keep 1 week'], [30, 'Keep 30 days'], [90, 'Keep 90 days'], [365, 'Keep 1 year'], [0, 'Keep forever']];
+        const folderOptions = Object.keys(this.folderStructure)
+            .filter(folderId => !this.isSmartFolder(folderId) && !this.isInTrash(folderId))
+            .map(folderId => ({ folderId, path: this.getFolderPath(folderId).map(part => part.name).join(' / ') }))
+            .sort((a, b) => this.compareTitles(a.path, b.path))
+            .map(({ folderId, path }) => html`<option value="${folderId}">${path}</option>`);
+
+        return html`
+            <div class="folder-header">
+                <div>
+                    <h2>🗑️ Trash</h2>
+                    <p class="smart-folder-query">${this.trashRetention
+                        ? `Deleted items are purged for good after ${this.trashRetention} days`
+                        : 'Deleted items stay here until you purge them'}</p>
+                </div>
+                <div class="header-actions trash-header-actions">
+                    <select id="trash-retention" title="How long deleted items are kept">
+                        ${retention.map(([days, label]) =>
+                            html`<option value="${days}" ${days === this.trashRetention ? 'selected' : ''}>${label}</option>`
+                        )}
+                    </select>
+                    <button class="btn-secondary" id="empty-trash-btn" ${entries.length ? '' : 'disabled'}>Empty Trash</button>
+                </div>
+            </div>
+            ${entries.length ? html`
+                <div class="trash-actions">
+                    <label class="setting-check">
+                        <input type="checkbox" id="trash-select-all" />
+                        All
+                    </label>
+                    <select id="trash-target" title="Restore to">
+                        <option value="">Original location</option>
+                        ${folderOptions}
+                    </select>
+                    <button class="btn-secondary" id="restore-trash-btn">Restore</button>
+                    <button class="btn-secondary" id="purge-trash-btn">Delete forever</button>
+                </div>
+                <ul class="trash-list" id="trash-list">
+                    ${entries.map(({ ref, name, icon, ...entry }) => html`
+                        <li class="trash-item">
+                            <label class="setting-check">
+                                <input type="checkbox" data-type="${ref.type}" data-id="${ref.id}"
+                                    ${ref.added !== undefined ? html`data-added="${ref.added}"` : ''} />
+                                <span class="trash-icon">${icon}</span>
+                                <span>
+                                    <strong>${name}</strong>
+                                    <span class="hint-text">${this.describeTrashEntry(entry)}</span>
+                                </span>
+                            </label>
+                        </li>
+                    `)}
+                </ul>
+            ` : html`
+                <div class="empty-state">
+                    <div class="empty-state-icon">🗑️</div>
+                    <p>Trash is empty</p>
+                    <p class="empty-state-hint">Deleted folders and media wait here until they are restored or purged</p>
+                </div>
+            `}
+        `;
+    }
+
+    getCheckedTrashItems() {
+        return [...document.querySelectorAll('#trash-list input:checked')].map(input => {
+            const { type, id, added } = input.dataset;
+            return type === 'media' ? { type, id, added } : { type, id };
+        });
+    }
+
+    async restoreTrashItems() {
+        const items = this.getCheckedTrashItems();
+        if (items.length === 0) {
+            alert('Select the items to restore');
+            return;
+        }
+
+        const target = document.getElementById('trash-target').value || null;
+        const saved = this.commitOperation({ type: 'restoreFromTrash', items, target });
+        this.buildFolderUI('trash');
+        await saved;
+    }
+
+    async purgeTrashItems(items) {
+        if (items.length === 0) {
+            alert('Select the items to delete');
+            return;
+        }
+        if (!confirm(`Delete ${items.length} item(s) for good? This can't be undone.`)) {
+            return;
+        }
+
+        const saved = this.commitOperation({ type: 'purge', items });
+        this.buildFolderUI('trash');
+        this.showMessage(`Deleted ${items.length} item(s) for good`);
+        await saved;
+    }
+
+    async setTrashRetention(days) {
+        await this.commitOperation({ type: 'setTrashRetention', days });
+        await this.purgeExpiredTrash();
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    async purgeExpiredTrash() {
+        // A device without the vault key can't save, so it leaves this to others
+        if (!this.trashRetention || this.vaultKeyError) return;
+
+        const cutoff = Date.now() - this.trashRetention * 24 * 60 * 60 * 1000;
+        const expired = this.getTrashEntries().filter(entry => Date.parse(entry.trashed.at) < cutoff);
+        if (expired.length === 0) return;
+
+        await this.commitOperation({ type: 'purge', items: expired.map(entry => entry.ref) });
+        if (this.currentFolder === 'trash') {
+            this.buildFolderUI('trash');
+        }
+    }
+
+    // WATCH HISTORY
+    // Playing a video stamps lastPlayed and bumps playCount on the item, so
+    // history syncs with the vault (vaultMerge.tallyFields combines plays from
+    // two devices). Plays show at once but are saved together, when the player
+    // closes or playSaveDelay after the last one, as a single 'played'
+    // operation. Each entry carries the time of its item's latest play, and
+    // applying it again once lastPlayed has that time adds nothing, so a queued
+    // operation replayed over a save that already landed doesn't count twice.
+    // historyPaused is a vault setting: while it's on, nothing
+    // is recorded on any device. Drive's player doesn't report the position,
+    // so Recently played is a list to pick up from rather than a resume point.
+    recordPlay(id, folderId) {
+        const at = new Date().toISOString();
+        this.applyOperation({ type: 'played', plays: [{ id, folderId, at, count: 1 }] });
+        const pending = this.pendingPlays.find(play => play.id === id && play.folderId === folderId);
+        if (pending) {
+            pending.at = at;
+            pending.count += 1;
+        } else {
+            this.pendingPlays.push({ id, folderId, at, count: 1 });
+        }
+        clearTimeout(this.playTimer);
+        this.playTimer = setTimeout(() => this.flushPlays(), this.playSaveDelay);
+    }
+
+    async flushPlays() {
+        clearTimeout(this.playTimer);
+        this.playTimer = null;
+        if (this.pendingPlays.length === 0) return;
+        const plays = this.pendingPlays;
+        this.pendingPlays = [];
+        await this.commitOperation({ type: 'played', plays });
+    }
+
+    getRecentlyPlayed(limit = 100) {
+        const entries = [];
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            if (!this.folderStructure[folderId] || this.isInTrash(folderId)) return;
+            items.forEach(item => {
+                if (item.lastPlayed) entries.push({ item, folderId });
+            });
+        });
+        return entries
+            .sort((a, b) => b.item.lastPlayed.localeCompare(a.item.lastPlayed))
+            .slice(0, limit);
+    }
+
+    // Every item with a play history, Trash included: Recently played only
+    // lists the latest 100, but "Clear history" has to clear them all
+    getPlayedItems() {
+        const played = [];
+        Object.entries(this.mediaData).forEach(([folderId, items]) => {
+            items.forEach(item => {
+                if (item.lastPlayed || item.playCount) played.push({ id: item.id, folderId });
+            });
+        });
+        return played;
+    }
+
+    describePlayed(at) {
+        const minutes = Math.floor((Date.now() - Date.parse(at)) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} hour(s) ago`;
+        return new Date(at).toLocaleDateString();
+    }
+
+    createRecentUI() {
+        const entries = this.getRecentlyPlayed();
+
+        const frame = html`
+            <div class="folder-header">
+                <div>
+                    <h2>🕘 Recently played</h2>
+                    <p class="smart-folder-query">${this.historyPaused
+                        ? 'History is paused; plays aren\'t recorded on any device'
+                        : 'Tap a video to play it again'}</p>
+                </div>
+                <div class="header-actions history-actions">
+                    <label class="setting-check">
+                        <input type="checkbox" id="history-paused" ${this.historyPaused ? 'checked' : ''} />
+                        Pause history
+                    </label>
+                    <button class="btn-secondary" id="clear-all-history-btn" ${entries.length ? '' : 'disabled'}>Clear history</button>
+                </div>
+            </div>
+            <div class="media-grid" id="media-container">
+                ${entries.length ? '' : html`
+                    <div class="empty-state">
+                        <div class="empty-state-icon">🕘</div>
+                        <p>Nothing played yet</p>
+                    </div>
+                `}
+            </div>
+        `;
+        const cells = entries.length ? this.createMediaCells([{ entries }], ({ item }) => html`
+            <div class="media-plays">
+                <span>▶ ${item.playCount || 1}× · ${this.describePlayed(item.lastPlayed)}</span>
+                <button class="clear-history-btn" title="Clear this item's history">×</button>
+            </div>
+        `) : null;
+        return { html: frame, cells };
+    }
+
+    async clearHistory(items) {
+        if (items.length === 0) return;
+        if (items.length > 1 && !confirm(`Clear the play history of ${items.length} item(s)?`)) return;
+
+        // Otherwise a later save would bring the cleared plays back
+        await this.flushPlays();
+        await this.commitOperation({
+            type: 'setHistory',
+            items: items.map(({ id, folderId }) => ({ id, folderId, lastPlayed: null, playCount: null }))
+        });
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    async setHistoryPaused(paused) {
+        await this.commitOperation({ type: 'setHistoryPaused', paused });
+        this.showMessage(paused ? 'Watch history paused' : 'Watch history is recorded again');
+        this.buildFolderUI(this.currentFolder);
+    }
+
+    // SNAPSHOTS
+    // Every successful save may also keep a full copy of the vault in the
+    // backend's snapshot store, so a bad change that synced everywhere can
+    // still be undone later. The first save of each hour writes snapshot
+    // YYYY-MM-DDTHH (UTC); devices saving in the same hour share it. All
+    // snapshots from the last snapshotPolicy.hourly hours are kept, then the
+    // first of each day for snapshotPolicy.daily days. Contents are encrypted
+    // like the vault. The GitHub backend has no snapshot store: the
+    // repository history already keeps every version.
+    supportsSnapshots() {
+        return Boolean(this.storage && this.storage.listSnapshots);
+    }
+
+    // Folder and item counts, leaving out the Trash
+    summarizeVault(data) {
+        const structure = data.folderStructure || {};
+        const live = folderId => this.folderPathIn(structure, folderId)[0] === 'root';
+        return {
+            folders: Object.keys(structure).filter(folderId => folderId !== 'root' && live(folderId)).length,
+            items: Object.entries(data.mediaData || {})
+                .filter(([folderId]) => live(folderId))
+                .reduce((total, [, items]) => total + items.length, 0)
+        };
+    }
+
+    // Folder ids from the top down to folderId, in any copy of the vault
+    folderPathIn(structure, folderId) {
+        const path = [];
+        const seen = new Set();
+        let current = folderId;
+        while (current && structure[current] && !seen.has(current)) {
+            seen.add(current);
+            path.unshift(current);
+            current = structure[current].parent;
+        }
+        return path;
+    }
+
+    folderPathText(structure, folderId) {
+        const path = this.folderPathIn(structure, folderId);
+        return path.length ? path.map(id => structure[id].name).join(' / ') : 'a deleted folder';
+    }
+
+    async loadSnapshotList() {
+        const list = await this.storage.listSnapshots();
+        for (const snapshot of list) {
+            try {
+                snapshot.summary = await vaultCipher.unprotect(snapshot.summary);
+            } catch (error) {
+                // Taken with a key this device doesn't have
+                snapshot.summary = null;
+            }
+        }
+        this.snapshotList = list.sort((a, b) => b.id.localeCompare(a.id));
+        return this.snapshotList;
+    }
+
+    async takeSnapshot(data) {
+        if (!this.supportsSnapshots() || this.takingSnapshot) return;
+
+        const id = new Date(data.lastUpdated).toISOString().slice(0, 13);
+        if (this.snapshotList && this.snapshotList.some(snapshot => snapshot.id === id)) return;
+
+        this.takingSnapshot = true;
+        try {
+            // Another device may already have taken this hour's snapshot
+            const list = await this.loadSnapshotList();
+            if (list.some(snapshot => snapshot.id === id)) return;
+
+            const summary = this.summarizeVault(data);
+            const info = { takenAt: data.lastUpdated, summary: await vaultCipher.protect(summary) };
+            await this.storage.saveSnapshot(id, info, await vaultCipher.protect(data));
+            list.unshift({ id, takenAt: data.lastUpdated, summary });
+            await this.pruneSnapshots(list);
+        } catch (error) {
+            console.error('Taking a snapshot failed:', error);
+        } finally {
+            this.takingSnapshot = false;
+        }
+    }
+
+    async pruneSnapshots(list) {
+        const hour = 60 * 60 * 1000;
+        const keptDays = new Set();
+        // Oldest first, so each day keeps its first snapshot
+        const expired = [...list].sort((a, b) => a.id.localeCompare(b.id)).filter(snapshot => {
+            const age = Date.now() - Date.parse(snapshot.takenAt);
+            if (age <= this.snapshotPolicy.hourly * hour) return false;
+            const day = snapshot.id.slice(0, 10);
+            if (age <= this.snapshotPolicy.daily * 24 * hour && !keptDays.has(day)) {
+                keptDays.add(day);
+                return false;
+            }
+            return true;
+        });
+
+        for (const snapshot of expired) {
+            await this.storage.deleteSnapshot(snapshot.id);
+            list.splice(list.indexOf(snapshot), 1);
+        }
+    }
+
+    async showSnapshotsModal() {
+        const list = document.getElementById('snapshot-list');
+        const summary = document.getElementById('snapshot-summary');
+        document.getElementById('snapshot-diff').innerHTML = '';
+        list.innerHTML = '';
+        this.openSnapshot = null;
+        document.getElementById('snapshots-modal').classList.add('active');
+
+        if (!this.supportsSnapshots()) {
+            summary.textContent = this.storageConfig.backend === 'github'
+                ? 'The GitHub backend keeps every version of the vault in the repository history; restore an older vault.json from there.'
+                : 'Snapshots are not available for this storage backend.';
+            return;
+        }
+
+        summary.textContent = 'Loading snapshots...';
+        try {
+            await this.loadSnapshotList();
+        } catch (error) {
+            console.error('Listing snapshots failed:', error);
+            summary.textContent = 'Snapshots could not be loaded. Check your connection and try again.';
+            return;
+        }
+        this.renderSnapshotList();
+    }
+
+    hideSnapshotsModal() {
+        document.getElementById('snapshots-modal').classList.remove('active');
+        this.openSnapshot = null;
+    }
+
+    renderSnapshotList() {
+        const snapshots = this.snapshotList || [];
+        document.getElementById('snapshot-summary').textContent = snapshots.length
+            ? `${snapshots.length} snapshot(s). Every hour of the last ${this.snapshotPolicy.hourly} hours and one per day for ${this.snapshotPolicy.daily} days are kept.`
+            : 'No snapshots yet. One is taken the first time the vault is saved each hour.';
+
+        document.getElementById('snapshot-list').innerHTML = snapshots.map(snapshot => html`
+            <li class="conflict-item snapshot-item ${this.openSnapshot && this.openSnapshot.id === snapshot.id ? 'active' : ''}">
+                <div>
+                    <strong>${new Date(snapshot.takenAt).toLocaleString()}</strong>
+                    <span class="hint-text">${snapshot.summary
+                        ? `${snapshot.summary.folders} folder(s), ${snapshot.summary.items} item(s)`
+                        : 'Encrypted with another key'}</span>
+                </div>
+                <button class="btn-secondary" data-snapshot="${snapshot.id}">Compare</button>
+            </li>
+        `).join('');
+    }
+
+    async openSnapshotDiff(id) {
+        const diffEl = document.getElementById('snapshot-diff');
+        diffEl.innerHTML = '<p class="hint-text">Loading snapshot...</p>';
+        try {
+            const data = await vaultCipher.unprotect(await this.storage.loadSnapshot(id));
+            if (!data || !data.folderStructure) throw new Error('Snapshot is empty');
+            this.openSnapshot = { id, data };
+        } catch (error) {
+            console.error('Loading snapshot failed:', error);
+            diffEl.innerHTML = html`<p class="hint-text">This snapshot can't be opened (${error.message}).</p>`;
+            return;
+        }
+        this.renderSnapshotList();
+        this.renderSnapshotDiff();
+    }
+
+    // What changed between two copies of the vault, by folder and item.
+    // Going into the Trash counts as removed.
+    diffVaults(before, after) {
+        const diff = { added: [], removed: [], moved: [], renamed: [] };
+        const flatBefore = vaultMerge.flatten(before).records;
+        const flatAfter = vaultMerge.trackMoves({ records: flatBefore }, vaultMerge.flatten(after)).records;
+        const live = (data, folderId) => this.folderPathIn(data.folderStructure, folderId)[0] === 'root';
+
+        new Set([...flatBefore.keys(), ...flatAfter.keys()]).forEach(key => {
+            const [kind] = key.split(':');
+            if (kind !== 'folder' && kind !== 'media') return;
+            const id = key.slice(kind.length + 1);
+            if (id === 'root' || id === 'trash') return;
+
+            const old = flatBefore.get(key);
+            const current = flatAfter.get(key);
+            const location = record => kind === 'folder' ? record.parent : record.folderId;
+            const wasLive = old && live(before, location(old));
+            const isLive = current && live(after, location(current));
+            const name = record => (kind === 'folder' ? record.name : record.title) || 'Untitled';
+            const entry = {
+                kind,
+                name: name(current || old),
+                from: old ? this.folderPathText(before.folderStructure, location(old)) : null,
+                to: current ? this.folderPathText(after.folderStructure, location(current)) : null
+            };
+
+            if (!wasLive && isLive) {
+                diff.added.push(entry);
+            } else if (wasLive && !isLive) {
+                diff.removed.push(entry);
+            } else if (wasLive && isLive) {
+                if (location(old) !== location(current)) diff.moved.push(entry);
+                if (name(old) !== name(current)) diff.renamed.push({ ...entry, oldName: name(old) });
+            }
+        });
+        return diff;
+    }
+
+    renderSnapshotDiff() {
+        const { id, data } = this.openSnapshot;
+        const snapshot = (this.snapshotList || []).find(entry => entry.id === id);
+        const diff = this.diffVaults(data, this.getVaultData());
+        const icon = entry => entry.kind === 'folder' ? '📁' : '🖼️';
+        const section = (title, entries, describe) => entries.length ? html`
+            <details class="snapshot-changes">
+                <summary>${title} (${entries.length})</summary>
+                <ul>
+                    ${entries.map(entry => html`<li>${icon(entry)} ${describe(entry)}</li>`)}
+                </ul>
+            </details>
+        ` : '';
+        const total = diff.added.length + diff.removed.length + diff.moved.length + diff.renamed.length;
+        const folderOptions = Object.keys(data.folderStructure)
+            .filter(folderId => folderId !== 'root' && this.folderPathIn(data.folderStructure, folderId)[0] === 'root')
+            .map(folderId => ({ folderId, path: this.folderPathText(data.folderStructure, folderId) }))
+            .sort((a, b) => this.compareTitles(a.path, b.path));
+
+        document.getElementById('snapshot-diff').innerHTML = html`
+            <h4>Since ${new Date(snapshot ? snapshot.takenAt : data.lastUpdated).toLocaleString()}</h4>
+            <p class="hint-text">${total ? `${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved, ${diff.renamed.length} renamed.` : 'The vault is the same as in this snapshot.'}</p>
+            ${section('Removed', diff.removed, entry => `${entry.name}, was in ${entry.from}`)}
+            ${section('Added', diff.added, entry => `${entry.name}, in ${entry.to}`)}
+            ${section('Moved', diff.moved, entry => `${entry.name}: ${entry.from} → ${entry.to}`)}
+            ${section('Renamed', diff.renamed, entry => `"${entry.oldName}" → "${entry.name}"`)}
+            <div class="setting-actions">
+                <button class="btn-secondary" id="restore-snapshot-btn">Restore whole vault</button>
+            </div>
+            ${folderOptions.length ? html`
+                <div class="setting-actions">
+                    <select id="snapshot-folder" title="Folder to restore">
+                        ${folderOptions.map(({ folderId, path }) =>
+                            html`<option value="${folderId}">${path}</option>`)}
+                    </select>
+                    <button class="btn-secondary" id="restore-snapshot-folder-btn">Restore this folder</button>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    async restoreSnapshot() {
+        if (!this.openSnapshot) return;
+        if (!confirm('Replace the whole vault with this snapshot? You can undo this afterwards.')) return;
+
+        const { lastUpdated, version, ...data } = this.openSnapshot.data;
+        await this.commitOperation({ type: 'restore', mode: 'replace', data }, { message: 'Vault restored from snapshot' });
+        this.buildFolderUI(this.folderStructure[this.currentFolder] ? this.currentFolder : 'root');
+        this.renderSnapshotDiff();
+    }
+
+    async restoreSnapshotFolder(folderId) {
+        if (!this.openSnapshot) return;
+        const { folderStructure, mediaData = {} } = this.openSnapshot.data;
+        if (!folderStructure[folderId]) return;
+
+        const name = folderStructure[folderId].name;
+        if (!confirm(`Restore "${name}" and its subfolders as they were in this snapshot? ` +
+            'Anything in them now that the snapshot doesn\'t have is moved to the Trash.')) {
+            return;
+        }
+
+        const data = { folderStructure: {}, mediaData: {} };
+        Object.keys(folderStructure).forEach(id => {
+            if (!this.folderPathIn(folderStructure, id).includes(folderId)) return;
+            data.folderStructure[id] = folderStructure[id];
+            data.mediaData[id] = mediaData[id] || [];
         });
+
+        await this.commitOperation({ type: 'restoreFolder', folderId, data });
+        this.buildFolderUI(this.currentFolder);
+        this.renderSnapshotDiff();
+        this.showMessage(`Restored "${name}" from snapshot`);
+    }
+
+    // ACTIONS (ALL AUTO-SAVE TO FIREBASE)
+    async createFolder() {
+        const name = document.getElementById('folder-name').value.trim();
+        if (!name) {
+            alert('Please enter a folder name');
+            return;
+        }
         
-        // Close FAB menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!fab.contains(e.target)) {
-                fabMain.classList.remove('active');
-                fabMenu.style.display = 'none';
-            }
+        await this.commitOperation({
+            type: 'createFolder',
+            folderId: 'folder-' + Date.now(),
+            name: name,
+            parent: this.currentFolder
         });
+        this.buildFolderUI(this.currentFolder);
+        this.hideCreateFolderModal();
     }
 
-    // VIDEO PLAYER
-    playVideo(media) {
-        const videoPlayer = document.getElementById('video-player');
-        const videoTitle = document.getElementById('video-player-title');
-        
-        const videoUrl = `https://drive.google.com/file/d/${media.id}/preview`;
-        
-        videoPlayer.src = videoUrl;
-        videoTitle.textContent = media.title || 'Video Player';
+    async addMedia() {
+        const activeTab = document.querySelector('.mobile-tab.active').getAttribute('data-tab');
         
-        document.getElementById('video-player-modal').classList.add('active');
-        this.currentVideo = media;
+        if (activeTab === 'single') {
+            await this.addSingleMedia();
+        } else if (this.batchRows) {
+            await this.commitBatchMedia();
+        } else {
+            this.previewBatchMedia();
+        }
     }
 
-    hideVideoPlayer() {
-        const videoPlayer = document.getElementById('video-player');
-        videoPlayer.src = '';
-        document.getElementById('video-player-modal').classList.remove('active');
-        this.currentVideo = null;
-    }
+    async addSingleMedia() {
+        const link = document.getElementById('media-link').value.trim();
+        const type = document.getElementById('media-type').value;
+        const title = document.getElementById('media-title').value.trim();
+        
+        if (!link) {
+            alert('Please enter a link');
+            return;
+        }
+        
+        const found = detectMediaLink(link);
+        if (!found) {
+            alert('Unrecognised link. Use a shared Google Drive, YouTube, Dropbox or OneDrive link, or a direct link to a video or image file.');
+            return;
+        }
+        const fileId = found.id;
 
-    // UI BUILDING
-    buildFolderUI(folderId) {
-        if (!this.folderStructure[folderId]) {
-            folderId = 'root';
+        const copies = this.findCopies(fileId);
+        if (copies.some(copy => copy.folderId === this.currentFolder)) {
+            alert(`This file is already in this folder as "${copies.find(copy => copy.folderId === this.currentFolder).item.title}"`);
+            return;
+        }
+        if (copies.length && !confirm(`This file is already in the vault:\n${this.describeCopies(copies)}\n\nAdd another copy here?`)) {
+            return;
         }
         
-        this.currentFolder = folderId;
-        const folder = this.folderStructure[folderId];
-        const contentDiv = document.getElementById('current-folder-content');
+        // The link's own type (a YouTube video, a .jpg file) beats the dropdown
+        const mediaItem = {
+            id: fileId,
+            provider: found.provider,
+            type: found.type || type,
+            title: title || `Media ${new Date().toLocaleDateString()}`,
+            added: new Date().toISOString()
+        };
         
-        this.updateBreadcrumb(folderId);
-        contentDiv.innerHTML = this.createFolderUI(folder, folderId);
-        this.setupFolderEventListeners();
+        await this.commitOperation({ type: 'addMedia', folderId: this.currentFolder, items: [mediaItem] });
+        this.buildFolderUI(this.currentFolder);
+        this.hideAddMediaModal();
     }
 
-    createFolderUI(folder, folderId) {
-        return `
-            <div class="folder-header">
-                <h2>${folder.name}</h2>
-                <div class="header-actions">
-                    <button class="add-btn" id="add-btn">+</button>
-                    <div class="add-menu" id="add-menu">
-                        <button data-action="create-folder">
-                            <span>📁</span>
-                            Create Folder
-                        </button>
-                        <button data-action="add-link">
-                            <span>➕</span>
-                            Add Media
-                        </button>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="folders-grid" id="folders-container">
-                ${this.createFoldersGrid(folder)}
-            </div>
-            
-            <div class="media-grid" id="media-container">
-                ${this.createMediaGrid(folderId)}
-            </div>
-        `;
+    // BATCH IMPORT
+    // Lines are "link | title | type"; nothing is added until the preview is confirmed.
+    previewBatchMedia() {
+        const text = document.getElementById('batch-links').value;
+        const prefix = document.getElementById('batch-title').value.trim();
+        const fallbackType = document.getElementById('batch-type').value;
+
+        const rows = text.split(/\r?\n/)
+            .map((line, index) => ({ line: index + 1, text: line.trim() }))
+            .filter(row => row.text && !row.text.startsWith('#'))
+            .map((row, position) => {
+                // The last field is only the type when it names one, so a
+                // title may contain | itself: "link | A | B" is titled "A | B"
+                const [, link, title = '', typeField = ''] = row.text.match(/^([^|]*)(?:\|(.*?))?(?:\|\s*(video|image)?\s*)?$/i)
+                    .map(part => (part || '').trim());
+                const found = detectMediaLink(link);
+                const type = typeField.toLowerCase();
+                return {
+                    line: row.line,
+                    link,
+                    title: title || this.batchTitle(link, prefix, position + 1),
+                    type: type || (found && found.type) || fallbackType,
+                    include: true
+                };
+            });
+
+        if (!rows.length) {
+            alert('Please paste some links');
+            return;
+        }
+
+        this.batchRows = rows;
+        this.checkBatchRows();
+        document.getElementById('batch-tab').classList.add('previewing');
+        this.renderBatchPreview();
     }
 
-    createFoldersGrid(folder) {
-        if (!folder.children || folder.children.length === 0) {
-            return `
-                <div class="empty-state">
-                    <div class="empty-state-icon">📁</div>
-                    <p>No folders yet</p>
-                    <p class="empty-state-hint">Tap the + button to create your first folder</p>
-                </div>
-            `;
+    batchTitle(link, prefix, number) {
+        if (prefix) return `${prefix} ${number}`;
+
+        // A direct file link already carries a decent name
+        const url = parseMediaUrl(link);
+        let name = url ? url.pathname.split('/').pop() : '';
+        try {
+            name = decodeURIComponent(name);
+        } catch (error) {
+            // Keep the raw name when it isn't valid percent-encoding
         }
+        return name && mediaTypeFromPath(name) ? name.replace(/\.[^.]+$/, '') : `Media ${number}`;
+    }
 
-        return folder.children.map(childId => {
-            const childFolder = this.folderStructure[childId];
-            if (!childFolder) return '';
-            
-            const isCsvFolder = childFolder.source === 'csv';
-            
-            return `
-                <div class="folder-item" data-folder-id="${childId}" data-type="folder" draggable="true">
-                    <div class="folder-icon">📁</div>
-                    <div class="folder-name">${childFolder.name}</div>
-                    ${isCsvFolder ? '<div class="csv-folder-badge">CSV</div>' : ''}
-                    <div class="folder-options">
-                        <button class="folder-option-btn" data-action="rename">✏️</button>
-                        <button class="folder-option-btn" data-action="delete">🗑️</button>
-                    </div>
-                </div>
+    checkBatchRows() {
+        const copies = this.indexCopies();
+        const seen = new Map();
+
+        this.batchRows.forEach(row => {
+            row.found = detectMediaLink(row.link);
+            row.status = 'ready';
+            row.reason = '';
+
+            if (!row.found) {
+                row.status = 'invalid';
+                row.reason = row.link ? 'Unrecognised link' : 'No link';
+                return;
+            }
+
+            const first = seen.get(row.found.id);
+            if (first) {
+                row.status = 'repeat';
+                row.reason = `Same file as line ${first.line}`;
+                return;
+            }
+            seen.set(row.found.id, row);
+
+            const existing = copies.get(row.found.id) || [];
+            const here = existing.find(copy => copy.folderId === this.currentFolder);
+            if (here) {
+                row.status = 'duplicate';
+                row.reason = `Already in this folder as "${here.item.title || 'Untitled'}"`;
+            } else if (existing.length) {
+                row.status = 'elsewhere';
+                row.reason = 'Also in ' + existing.map(copy =>
+                    this.getFolderPath(copy.folderId).map(part => part.name).join(' / ')).join(', ');
+            }
+        });
+    }
+
+    // Repeats and files already in the folder are never added twice
+    isBatchRowAddable(row) {
+        return row.status === 'ready' || row.status === 'elsewhere';
+    }
+
+    getBatchSelection() {
+        return (this.batchRows || []).filter(row => row.include && this.isBatchRowAddable(row));
+    }
+
+    renderBatchPreview() {
+        document.getElementById('batch-rows').innerHTML = this.batchRows.map((row, index) => {
+            const addable = this.isBatchRowAddable(row);
+            return html`
+                <tr class="batch-row batch-${row.status}${addable && row.include ? '' : ' excluded'}" data-index="${index}">
+                    <td><input type="checkbox" class="batch-include" title="Add this line" ${addable && row.include ? 'checked' : ''} ${addable ? '' : 'disabled'}></td>
+                    <td class="batch-line">${row.line}</td>
+                    <td><input type="text" class="batch-link" value="${row.link}"></td>
+                    <td><input type="text" class="batch-row-title" value="${row.title}"></td>
+                    <td>
+                        <select class="batch-row-type">
+                            <option value="video" ${row.type === 'video' ? 'selected' : ''}>Video</option>
+                            <option value="image" ${row.type === 'image' ? 'selected' : ''}>Image</option>
+                        </select>
+                    </td>
+                    <td class="batch-status">${row.status === 'ready' ? 'Ready' : row.reason}</td>
+                </tr>
             `;
         }).join('');
+
+        this.updateBatchSummary();
     }
 
-    createMediaGrid(folderId) {
-        const mediaItems = this.mediaData[folderId] || [];
-        
-        if (mediaItems.length === 0) {
-            return `
-                <div class="empty-state">
-                    <div class="empty-state-icon">🖼️</div>
-                    <p>No media yet</p>
-                    <p class="empty-state-hint">Add media using the + button</p>
-                </div>
-            `;
+    updateBatchSummary() {
+        const count = status => this.batchRows.filter(row => row.status === status).length;
+        const duplicates = count('duplicate') + count('repeat');
+        const invalid = count('invalid');
+        const elsewhere = count('elsewhere');
+
+        document.getElementById('batch-preview-summary').textContent =
+            `${this.batchRows.length} line(s): ${this.getBatchSelection().length} will be added` +
+            (elsewhere ? `, ${elsewhere} already in other folders` : '') +
+            (duplicates ? `, ${duplicates} duplicate(s) skipped` : '') +
+            (invalid ? `, ${invalid} invalid` : '') + '.';
+        this.updateAddMediaButton();
+    }
+
+    handleBatchRowChange(e) {
+        const tr = e.target.closest('.batch-row');
+        if (!tr) return;
+        const row = this.batchRows[parseInt(tr.getAttribute('data-index'))];
+
+        if (e.target.classList.contains('batch-include')) {
+            row.include = e.target.checked;
+            tr.classList.toggle('excluded', !row.include);
+            this.updateBatchSummary();
+        } else if (e.target.classList.contains('batch-row-title')) {
+            row.title = e.target.value;
+        } else if (e.target.classList.contains('batch-row-type')) {
+            row.type = e.target.value;
+            this.checkBatchRows();
+            this.renderBatchPreview();
+        } else if (e.target.classList.contains('batch-link')) {
+            // A fixed link can turn an invalid line into a ready one, or make it repeat another
+            row.link = e.target.value.trim();
+            const found = detectMediaLink(row.link);
+            if (found && found.type) row.type = found.type;
+            row.include = true;
+            this.checkBatchRows();
+            this.renderBatchPreview();
         }
+    }
 
-        return mediaItems.map(item => `
-            <div class="media-item" data-media-id="${item.id}" data-folder-id="${folderId}" data-type="media" draggable="true">
-                <img src="https://drive.google.com/thumbnail?id=${item.id}&sz=w400" 
-                     alt="${item.title}" 
-                     class="media-thumb ${item.type === 'video' ? 'video-thumb' : ''}"
-                     loading="lazy"
-                     onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iNDAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjMzMwMzNmIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxOCIgZmlsbD0iIzk5YTFjNCIgZG9taW5hbnQtYmFzZWxpbmU9Im1pZGRsZSIgdGV4dC1hbmNob3I9Im1pZGRsZSI+TWVkaWEgTm90IEZvdW5kPC90ZXh0Pjwvc3ZnPg=='">
-                <div class="media-title">${item.title || 'Untitled'}</div>
-                ${item.type === 'video' ? '<div class="video-badge">VIDEO</div>' : ''}
-            </div>
-        `).join('');
+    editBatchText() {
+        this.batchRows = null;
+        document.getElementById('batch-tab').classList.remove('previewing');
+        this.updateAddMediaButton();
+        document.getElementById('batch-links').focus();
     }
 
-    updateBreadcrumb(folderId) {
-        const breadcrumbItems = document.getElementById('breadcrumb-items');
-        const backBtn = document.getElementById('back-btn');
-        const path = this.getFolderPath(folderId);
-        
-        if (window.innerWidth <= 768) {
-            // Mobile: show back button and current folder only
-            backBtn.style.display = folderId === 'root' ? 'none' : 'flex';
-            breadcrumbItems.innerHTML = `
-                <div class="breadcrumb-item active" data-folder="${folderId}">
-                    <span>${folderId === 'root' ? '🏠' : '📁'}</span>
-                    ${this.folderStructure[folderId].name}
-                </div>
-            `;
+    updateAddMediaButton() {
+        const button = document.getElementById('confirm-add-media');
+        const batch = document.getElementById('batch-tab').classList.contains('active');
+
+        if (!batch) {
+            button.textContent = 'Add Media';
+            button.disabled = false;
+        } else if (!this.batchRows) {
+            button.textContent = 'Preview';
+            button.disabled = false;
         } else {
-            // Desktop: show full breadcrumb
-            backBtn.style.display = 'none';
-            breadcrumbItems.innerHTML = path.map((item, index) => `
-                <div class="breadcrumb-item ${index === path.length - 1 ? 'active' : ''}" 
-                     data-folder="${item.id}">
-                    <span>${index === 0 ? '🏠' : '📁'}</span>
-                    ${item.name}
-                </div>
-            `).join('');
+            const count = this.getBatchSelection().length;
+            button.textContent = `Add ${count} item(s)`;
+            button.disabled = count === 0;
         }
     }
 
-    getFolderPath(folderId) {
-        const path = [];
-        let current = folderId;
-        
-        while (current && this.folderStructure[current]) {
-            path.unshift({
-                id: current,
-                name: this.folderStructure[current].name
-            });
-            current = this.folderStructure[current].parent;
+    async loadBatchFiles(files) {
+        const textarea = document.getElementById('batch-links');
+        const texts = [];
+
+        for (const file of Array.from(files)) {
+            if (file.type && !file.type.startsWith('text/')) {
+                alert(`"${file.name}" is not a text file`);
+                continue;
+            }
+            texts.push((await file.text()).trim());
         }
-        
-        return path;
+
+        textarea.value = [textarea.value.trim(), ...texts].filter(text => text).join('\n');
+        document.getElementById('batch-file').value = '';
     }
 
-    // EVENT LISTENERS
-    setupEventListeners() {
-        // Logout
-        document.getElementById('logout-btn').addEventListener('click', () => this.logout());
-        
-        // Refresh
-        document.getElementById('refresh-btn').addEventListener('click', () => this.refreshFromCloud());
-        
-        // Settings
-        document.getElementById('settings-btn').addEventListener('click', () => this.showSettingsModal());
+    async commitBatchMedia() {
+        const rows = this.batchRows;
+        const selected = this.getBatchSelection();
+        if (!selected.length) return;
 
-        // Breadcrumb navigation
-        document.getElementById('breadcrumb-items').addEventListener('click', (e) => {
-            const breadcrumbItem = e.target.closest('.breadcrumb-item');
-            if (breadcrumbItem) {
-                const folderId = breadcrumbItem.getAttribute('data-folder');
-                this.navigateToFolder(folderId);
-            }
-        });
+        const added = new Date().toISOString();
+        const mediaItems = selected.map(row => ({
+            id: row.found.id,
+            provider: row.found.provider,
+            type: row.type,
+            title: row.title.trim() || `Media ${row.line}`,
+            added
+        }));
 
-        // Modal events
-        this.setupModalEvents();
+        await this.commitOperation({ type: 'addMedia', folderId: this.currentFolder, items: mediaItems });
+        this.buildFolderUI(this.currentFolder);
+        this.hideAddMediaModal();
+        this.showBatchReport(rows, selected);
+    }
+
+    showBatchReport(rows, added) {
+        const duplicates = rows.filter(row => row.status === 'duplicate' || row.status === 'repeat');
+        const invalid = rows.filter(row => row.status === 'invalid');
+        const leftOut = rows.filter(row => this.isBatchRowAddable(row) && !row.include);
+
+        document.getElementById('csv-report-title').textContent = 'Batch Import';
+        document.getElementById('csv-report-summary').textContent =
+            `Added ${added.length} item(s), skipped ${duplicates.length} duplicate(s), ` +
+            `rejected ${invalid.length} invalid line(s)` +
+            (leftOut.length ? `, left out ${leftOut.length} you unticked` : '') + '.';
+
+        document.getElementById('csv-report-list').innerHTML = rows
+            .filter(row => !added.includes(row))
+            .map(row => html`
+                <li class="${row.status === 'invalid' ? 'csv-report-error' : ''}">
+                    <span class="csv-report-line">Line ${row.line}: ${row.link || '(empty)'}</span>
+                    ${this.isBatchRowAddable(row) ? 'Left out' : row.reason}
+                </li>
+            `).join('');
+
+        document.getElementById('csv-report-modal').classList.add('active');
+    }
+
+    async moveSelectedItems() {
+        const targetFolderId = document.getElementById('target-folder').value;
+        if (!targetFolderId) {
+            alert('Please select a target folder');
+            return;
+        }
         
-        // Organization toolbar
-        this.setupToolbarEvents();
+        await this.moveSelectedItemsToFolder(targetFolderId);
+        this.hideMoveToModal();
+    }
+
+    async renameSelectedItem() {
+        const newName = document.getElementById('rename-name').value.trim();
+        if (!newName) {
+            alert('Please enter a new name');
+            return;
+        }
         
-        // Mobile tabs
-        this.setupMobileTabs();
+        const { id, type, folderId } = this.selectedItems[0];
+        await this.commitOperation({ type: 'rename', item: { id, type, folderId }, name: newName });
+        this.buildFolderUI(this.currentFolder);
+        this.hideRenameModal();
+        this.cancelSelection();
+    }
 
-        // Click outside to close menus
-        document.addEventListener('click', (e) => {
-            const addMenu = document.getElementById('add-menu');
-            if (addMenu && !e.target.closest('#add-btn') && !e.target.closest('#add-menu')) {
-                addMenu.style.display = 'none';
-            }
-            
-            if (e.target.classList.contains('modal')) {
-                this.hideAllModals();
-            }
+    // Deleting only moves things to the Trash, so there is nothing to confirm
+    async deleteSelectedItems() {
+        if (this.selectedItems.length === 0) return;
+        
+        const saved = this.commitOperation({
+            type: 'trash',
+            items: this.selectedItems.map(({ id, type, folderId }) => ({ id, type, folderId }))
         });
+        this.cancelSelection();
+        this.buildFolderUI(this.currentFolder);
+        await saved;
     }
 
-    setupFolderEventListeners() {
-        // Add button
-        const addBtn = document.getElementById('add-btn');
-        const addMenu = document.getElementById('add-menu');
+    deleteFolder(folderId) {
+        const folder = this.folderStructure[folderId];
+        if (!folder) return;
         
-        if (addBtn && addMenu) {
-            addBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                addMenu.style.display = addMenu.style.display === 'block' ? 'none' : 'block';
-            });
-
-            addMenu.addEventListener('click', (e) => {
-                const button = e.target.closest('button');
-                if (button) {
-                    const action = button.getAttribute('data-action');
-                    if (action === 'create-folder') {
-                        this.showCreateFolderModal();
-                    } else if (action === 'add-link') {
-                        this.showAddMediaModal();
-                    }
-                    addMenu.style.display = 'none';
-                }
-            });
+        // Remove from parent's children
+        if (folder.parent && this.folderStructure[folder.parent]) {
+            this.folderStructure[folder.parent].children = this.folderStructure[folder.parent].children.filter(id => id !== folderId);
+        }
+        
+        // Recursively delete children
+        if (folder.children) {
+            folder.children.forEach(childId => this.deleteFolder(childId));
         }
+        
+        // Delete the folder itself
+        delete this.folderStructure[folderId];
+        delete this.mediaData[folderId];
+    }
 
-        // Folder navigation (only when not in selection mode)
-        document.getElementById('folders-container')?.addEventListener('click', (e) => {
-            if (this.selectionMode) return;
-            
-            const folderItem = e.target.closest('.folder-item');
-            if (folderItem && !e.target.closest('.folder-option-btn')) {
-                const folderId = folderItem.getAttribute('data-folder-id');
-                this.navigateToFolder(folderId);
-            }
-        });
+    async refreshFromCloud() {
+        this.showMessage('Refreshing from cloud...');
+        await this.loadData();
+        this.buildFolderUI(this.currentFolder);
+        this.showMessage('Data refreshed!');
+    }
 
-        // Folder options
-        document.getElementById('folders-container')?.addEventListener('click', (e) => {
-            const optionBtn = e.target.closest('.folder-option-btn');
-            if (optionBtn) {
-                const folderItem = optionBtn.closest('.folder-item');
-                const action = optionBtn.getAttribute('data-action');
-                
-                // Enter selection mode and select this folder
-                if (!this.selectionMode) {
-                    this.enterSelectionMode(folderItem);
-                } else {
-                    this.toggleItemSelection(folderItem);
-                }
-                
-                if (action === 'rename') {
-                    this.showRenameModal();
-                } else if (action === 'delete') {
-                    this.deleteSelectedItems();
+    // CSV IMPORT
+    // Files under csv/ use the columns id,type,title,folder. Every distinct
+    // folder value becomes one folder under Home tagged source: 'csv'.
+    async discoverCsvFiles() {
+        // Static hosts can't list directories, so prefer an explicit manifest
+        try {
+            const response = await fetch('csv/manifest.json', { cache: 'no-cache' });
+            if (response.ok) {
+                const files = await response.json();
+                if (Array.isArray(files) && files.length > 0) {
+                    return files.filter(file => typeof file === 'string' && file.endsWith('.csv'));
                 }
             }
-        });
+        } catch (error) {
+            // No manifest - fall through
+        }
 
-        // Media click events
-        document.getElementById('media-container')?.addEventListener('click', (e) => {
-            if (this.selectionMode) return;
-            
-            const mediaItem = e.target.closest('.media-item');
-            if (mediaItem) {
-                const mediaId = mediaItem.getAttribute('data-media-id');
-                const folderId = mediaItem.getAttribute('data-folder-id');
-                const media = this.mediaData[folderId]?.find(m => m.id === mediaId);
-                
-                if (media && media.type === 'video') {
-                    this.playVideo(media);
+        // Dev servers usually render a directory index we can scrape
+        try {
+            const response = await fetch('csv/', { cache: 'no-cache' });
+            if (response.ok) {
+                const html = await response.text();
+                const files = [...html.matchAll(/href="([^"?#]+\.csv)"/gi)]
+                    .map(match => decodeURIComponent(match[1].split('/').pop()));
+                if (files.length > 0) {
+                    return [...new Set(files)];
                 }
             }
-        });
+        } catch (error) {
+            // No directory listing - fall through
+        }
+
+        return ['movies.csv'];
     }
 
-    setupModalEvents() {
-        // Add Media Modal
-        document.getElementById('cancel-add-media').addEventListener('click', () => this.hideAddMediaModal());
-        document.getElementById('cancel-add-media-btn').addEventListener('click', () => this.hideAddMediaModal());
-        document.getElementById('confirm-add-media').addEventListener('click', () => this.addMedia());
+    async importCsvFolders(options = {}) {
+        const { force = false } = options;
+        const report = { files: [], added: 0, foldersCreated: 0, skipped: [] };
+        const files = await this.discoverCsvFiles();
+        const imports = [];
+        // Ids already in each csv folder, including those this run adds
+        const known = new Map();
+        const newFolders = new Set();
 
-        // Create Folder Modal
-        document.getElementById('cancel-create-folder').addEventListener('click', () => this.hideCreateFolderModal());
-        document.getElementById('cancel-create-folder-btn').addEventListener('click', () => this.hideCreateFolderModal());
-        document.getElementById('confirm-create-folder').addEventListener('click', () => this.createFolder());
+        for (const file of files) {
+            let text;
+            try {
+                const response = await fetch(`csv/${encodeURIComponent(file)}`, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                text = await response.text();
+            } catch (error) {
+                report.skipped.push({ file, line: 0, reason: `Could not load file (${error.message})`, severity: 'error' });
+                continue;
+            }
 
-        // Move To Modal
-        document.getElementById('cancel-move').addEventListener('click', () => this.hideMoveToModal());
-        document.getElementById('cancel-move-btn').addEventListener('click', () => this.hideMoveToModal());
-        document.getElementById('confirm-move').addEventListener('click', () => this.moveSelectedItems());
+            // Unchanged files are not re-imported automatically, so items the
+            // user deleted on purpose don't keep coming back
+            const signature = this.hashString(text);
+            if (!force && this.csvSources[file] && this.csvSources[file].signature === signature) {
+                continue;
+            }
 
-        // Rename Modal
-        document.getElementById('cancel-rename').addEventListener('click', () => this.hideRenameModal());
-        document.getElementById('cancel-rename-btn').addEventListener('click', () => this.hideRenameModal());
-        document.getElementById('confirm-rename').addEventListener('click', () => this.renameSelectedItem());
+            const { records, errors } = this.readCsvRecords(file, text);
+            report.files.push(file);
+            report.skipped.push(...errors);
 
-        // Video Player Modal
-        document.getElementById('close-video-player').addEventListener('click', () => this.hideVideoPlayer());
+            const fresh = records.filter(record => {
+                if (!known.has(record.folder)) {
+                    const folderId = this.findCsvFolder(record.folder);
+                    if (!folderId) newFolders.add(record.folder);
+                    known.set(record.folder, {
+                        name: folderId ? this.folderStructure[folderId].name : record.folder,
+                        ids: new Set((folderId ? this.mediaData[folderId] || [] : []).map(item => item.id))
+                    });
+                }
+                const { name, ids } = known.get(record.folder);
+                if (ids.has(record.id)) {
+                    report.skipped.push({
+                        file,
+                        line: record.line,
+                        reason: `Already in "${name}"`,
+                        severity: 'skipped'
+                    });
+                    return false;
+                }
+                ids.add(record.id);
+                return true;
+            });
+            report.added += fresh.length;
+            imports.push({ file, signature, records: fresh.map(({ line, ...record }) => record) });
+        }
+        report.foldersCreated = newFolders.size;
 
-        // Settings Modal
-        document.getElementById('cancel-settings').addEventListener('click', () => this.hideSettingsModal());
-        document.getElementById('cancel-settings-btn').addEventListener('click', () => this.hideSettingsModal());
-        document.getElementById('confirm-settings').addEventListener('click', () => this.hideSettingsModal());
-    }
+        // One operation for the whole run, so it queues and replays like any edit
+        if (imports.length > 0) {
+            await this.commitOperation({ type: 'importCsv', files: imports });
+            this.buildFolderUI(this.currentFolder);
+        }
 
-    setupToolbarEvents() {
-        document.getElementById('move-to-btn').addEventListener('click', () => this.showMoveToModal());
-        document.getElementById('delete-btn').addEventListener('click', () => this.deleteSelectedItems());
-        document.getElementById('rename-btn').addEventListener('click', () => this.showRenameModal());
-        document.getElementById('cancel-org-btn').addEventListener('click', () => this.cancelSelection());
+        return report;
     }
 
-    setupMobileTabs() {
-        const tabs = document.querySelectorAll('.mobile-tab');
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const tabName = tab.getAttribute('data-tab');
-                
-                // Update active tab
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                
-                // Show corresponding content
-                document.querySelectorAll('.tab-content').forEach(content => {
-                    content.classList.remove('active');
-                });
-                document.getElementById(`${tabName}-tab`).classList.add('active');
+    // Applies an importCsv operation's records; ids a folder already has are
+    // left alone, so a replay adds nothing twice
+    importCsvRecords(file, records, added) {
+        records.forEach(record => {
+            const folderId = this.getOrCreateCsvFolder(record.folder, file);
+            const items = this.mediaData[folderId];
+            if (items.some(item => item.id === record.id)) return;
+
+            items.push({
+                id: record.id,
+                provider: record.provider,
+                type: record.type,
+                title: record.title || 'Untitled',
+                added
             });
         });
     }
 
-    // NAVIGATION
-    navigateToFolder(folderId) {
-        this.buildFolderUI(folderId);
+    // Items added before MEDIA_PROVIDERS existed have no provider; they are
+    // all Google Drive. Old devices may still add some, so this runs on
+    // every start and does nothing once every item has one.
+    async migrateProviders() {
+        if (this.vaultKeyError) return;
+        const pending = Object.values(this.mediaData).some(items => items.some(item => !item.provider));
+        if (pending) {
+            await this.commitOperation({ type: 'migrateProviders' });
+        }
     }
 
-    // MODAL MANAGEMENT
-    showCreateFolderModal() {
-        document.getElementById('create-folder-modal').classList.add('active');
-        document.getElementById('folder-name').focus();
+    // RFC 4180: quoted fields may hold commas, line breaks and "" escapes.
+    // Each row keeps the line it starts on so errors can point at it.
+    parseCsv(text) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let afterQuote = false;
+        let line = 1;
+        let row = { line: 1, fields: null, error: null };
+
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+
+        const endRow = () => {
+            fields.push(field);
+            row.fields = fields;
+            rows.push(row);
+            fields = [];
+            field = '';
+            afterQuote = false;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                    afterQuote = true;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+                afterQuote = false;
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                row = { line: line, fields: null, error: null };
+            } else if (char === '"' && field === '' && !afterQuote) {
+                inQuotes = true;
+            } else {
+                if (!row.error && (char === '"' || afterQuote)) {
+                    row.error = char === '"' && !afterQuote
+                        ? 'Stray quote in an unquoted field'
+                        : 'Unexpected text after a closing quote';
+                }
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            row.error = 'Unterminated quoted field';
+        }
+        if (field !== '' || fields.length > 0 || inQuotes) {
+            endRow();
+        }
+
+        // Blank lines carry no data
+        return rows.filter(parsed => parsed.error || parsed.fields.length > 1 || parsed.fields[0].trim() !== '');
     }
 
-    hideCreateFolderModal() {
-        document.getElementById('create-folder-modal').classList.remove('active');
-        document.getElementById('folder-name').value = '';
+    isValidDriveId(id) {
+        return /^[A-Za-z0-9_-]{25,64}$/.test(id);
     }
 
-    showAddMediaModal() {
-        // Reset to single tab by default
-        document.querySelectorAll('.mobile-tab').forEach(tab => tab.classList.remove('active'));
-        document.querySelector('.mobile-tab[data-tab="single"]').classList.add('active');
-        
-        document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-        document.getElementById('single-tab').classList.add('active');
-        
-        document.getElementById('add-media-modal').classList.add('active');
-        document.getElementById('media-link').focus();
+    // Days to keep deleted items; 0 keeps them forever
+    isValidRetention(days) {
+        return Number.isInteger(days) && days >= 0;
     }
 
-    hideAddMediaModal() {
-        document.getElementById('add-media-modal').classList.remove('active');
-        document.getElementById('media-link').value = '';
-        document.getElementById('media-title').value = '';
-        document.getElementById('batch-links').value = '';
-        document.getElementById('batch-title').value = '';
+    // The app only makes root, trash, folder-<time> and csv-<name>
+    isValidFolderId(id) {
+        return typeof id === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(id);
     }
 
-    showMoveToModal() {
-        const select = document.getElementById('target-folder');
-        select.innerHTML = '<option value="">Select target folder</option>';
-        
-        Object.keys(this.folderStructure).forEach(folderId => {
-            if (folderId !== this.currentFolder && 
-                !this.selectedItems.some(item => item.id === folderId) &&
-                folderId !== 'root') {
-                const option = document.createElement('option');
-                option.value = folderId;
-                option.textContent = this.folderStructure[folderId].name;
-                select.appendChild(option);
+    readCsvRecords(file, text) {
+        const records = [];
+        const errors = [];
+        const rows = this.parseCsv(text);
+        const fail = (line, reason) => errors.push({ file, line, reason, severity: 'error' });
+
+        if (rows.length === 0) {
+            fail(0, 'File is empty');
+            return { records, errors };
+        }
+
+        const [headerRow, ...dataRows] = rows;
+        const header = headerRow.fields.map(name => name.trim().toLowerCase());
+        const columns = {};
+        ['id', 'type', 'title', 'folder'].forEach(name => {
+            columns[name] = header.indexOf(name);
+        });
+
+        const missing = ['id', 'type', 'folder'].filter(name => columns[name] === -1);
+        if (headerRow.error || missing.length > 0) {
+            fail(headerRow.line, headerRow.error ||
+                `Header is missing column(s): ${missing.join(', ')}`);
+            return { records, errors };
+        }
+
+        dataRows.forEach(row => {
+            if (row.error) {
+                fail(row.line, row.error);
+                return;
+            }
+            if (row.fields.length !== header.length) {
+                fail(row.line, `Expected ${header.length} fields, found ${row.fields.length}` +
+                    (row.fields.length > header.length ? ' (quote titles that contain commas)' : ''));
+                return;
+            }
+
+            const value = name => columns[name] === -1 ? '' : row.fields[columns[name]].trim();
+            const id = value('id');
+            const type = value('type').toLowerCase();
+            const folder = value('folder');
+
+            // A bare id is a Drive file; other sources need their link
+            const found = parseMediaUrl(id) ? detectMediaLink(id)
+                : this.isValidDriveId(id) ? { provider: 'gdrive', id } : null;
+            if (!found) {
+                fail(row.line, id ? `Not a Google Drive file ID or a recognised link: "${id}"` : 'Missing id');
+                return;
+            }
+            if (type !== 'video' && type !== 'image') {
+                fail(row.line, `Invalid type "${value('type')}" (expected video or image)`);
+                return;
+            }
+            if (!folder) {
+                fail(row.line, 'Missing folder');
+                return;
             }
+
+            records.push({ line: row.line, id: found.id, provider: found.provider, type, title: value('title'), folder });
         });
-        
-        document.getElementById('move-to-modal').classList.add('active');
+
+        return { records, errors };
     }
 
-    hideMoveToModal() {
-        document.getElementById('move-to-modal').classList.remove('active');
+    findCsvFolder(folderName) {
+        return Object.keys(this.folderStructure).find(id => {
+            const folder = this.folderStructure[id];
+            return folder.source === 'csv' && folder.csvFolder === folderName && !this.isInTrash(id);
+        });
     }
 
-    showRenameModal() {
-        if (this.selectedItems.length !== 1) {
-            alert('Please select exactly one item to rename');
-            return;
+    getOrCreateCsvFolder(folderName, file) {
+        const existingId = this.findCsvFolder(folderName);
+
+        if (existingId) {
+            if (!this.mediaData[existingId]) {
+                this.mediaData[existingId] = [];
+            }
+            return existingId;
         }
-        
-        const item = this.selectedItems[0];
-        const input = document.getElementById('rename-name');
-        
-        if (item.type === 'folder') {
-            input.value = this.folderStructure[item.id].name;
-        } else {
-            const media = this.mediaData[item.folderId]?.find(m => m.id === item.id);
-            input.value = media ? media.title : '';
+
+        let folderId = 'csv-' + this.sanitizeId(folderName);
+        for (let n = 2; this.folderStructure[folderId]; n++) {
+            folderId = `csv-${this.sanitizeId(folderName)}-${n}`;
         }
-        
-        document.getElementById('rename-modal').classList.add('active');
-        input.focus();
+
+        this.folderStructure[folderId] = {
+            name: folderName,
+            parent: 'root',
+            children: [],
+            source: 'csv',
+            csvFolder: folderName,
+            csvFile: file
+        };
+
+        const root = this.folderStructure['root'];
+        if (!root.children) {
+            root.children = [];
+        }
+        root.children.push(folderId);
+        this.mediaData[folderId] = [];
+
+        return folderId;
+    }
+
+    async runCsvImport() {
+        const button = document.getElementById('import-csv-btn');
+        button.disabled = true;
+        this.showMessage('Importing CSV files...');
+
+        try {
+            const report = await this.importCsvFolders({ force: true });
+            this.showCsvReport(report);
+        } catch (error) {
+            console.error('CSV import failed:', error);
+            this.showMessage('CSV import failed', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showCsvReport(report) {
+        const summary = document.getElementById('csv-report-summary');
+        const list = document.getElementById('csv-report-list');
+        document.getElementById('csv-report-title').textContent = 'CSV Import';
+
+        const errorCount = report.skipped.filter(row => row.severity === 'error').length;
+        summary.textContent = `Added ${report.added} item(s), created ${report.foldersCreated} folder(s), ` +
+            `skipped ${report.skipped.length} row(s) including ${errorCount} error(s).`;
+
+        list.innerHTML = report.skipped.map(row => html`
+            <li class="${row.severity === 'error' ? 'csv-report-error' : ''}">
+                <span class="csv-report-line">${row.file}${row.line ? ':' + row.line : ''}</span>
+                ${row.reason}
+            </li>
+        `).join('');
+
+        this.hideSettingsModal();
+        document.getElementById('csv-report-modal').classList.add('active');
+    }
+
+    hideCsvReport() {
+        document.getElementById('csv-report-modal').classList.remove('active');
     }
 
-    hideRenameModal() {
-        document.getElementById('rename-modal').classList.remove('active');
-        document.getElementById('rename-name').value = '';
+    // EXPORT & RESTORE
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    showSettingsModal() {
-        // Update Firebase status in settings
-        const statusEl = document.querySelector('#firebase-status .status-text');
-        const iconEl = document.querySelector('#firebase-status .status-icon');
-        
-        if (this.userId) {
-            statusEl.textContent = 'Connected to Firebase';
-            iconEl.textContent = '✓';
-        } else {
-            statusEl.textContent = 'Not connected to Firebase';
-            iconEl.textContent = '⚠️';
-        }
-        
-        document.getElementById('settings-modal').classList.add('active');
+    getExportFilename(extension) {
+        const date = new Date().toISOString().slice(0, 10);
+        return `mediavault-${date}.${extension}`;
     }
 
-    hideSettingsModal() {
-        document.getElementById('settings-modal').classList.remove('active');
+    toCsvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     }
 
-    hideAllModals() {
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.classList.remove('active');
+    // Same id,type,title,folder schema as csv/movies.csv; folder holds the
+    // full path below Home, e.g. "Movies / 2024"
+    buildCsvExport() {
+        const rows = [['id', 'type', 'title', 'folder']];
+
+        Object.keys(this.mediaData).forEach(folderId => {
+            if (!this.folderStructure[folderId] || this.isInTrash(folderId)) return;
+
+            const path = this.getFolderPath(folderId).slice(1).map(folder => folder.name);
+            const folderPath = path.length > 0 ? path.join(' / ') : this.folderStructure['root'].name;
+
+            this.mediaData[folderId].forEach(item => {
+                // Drive files keep the bare ID; other sources export their link
+                const id = this.mediaProvider(item) === MEDIA_PROVIDERS.gdrive ? item.id : this.mediaProvider(item).link(item.id);
+                rows.push([id, item.type, item.title || '', folderPath]);
+            });
         });
+
+        return rows.map(row => row.map(field => this.toCsvField(field)).join(',')).join('\r\n') + '\r\n';
     }
 
-    // ACTIONS (ALL AUTO-SAVE TO FIREBASE)
-    async createFolder() {
-        const name = document.getElementById('folder-name').value.trim();
-        if (!name) {
-            alert('Please enter a folder name');
-            return;
-        }
-        
-        const folderId = 'folder-' + Date.now();
-        this.folderStructure[folderId] = {
-            name: name,
-            parent: this.currentFolder,
-            children: []
-        };
-        
-        if (!this.folderStructure[this.currentFolder].children) {
-            this.folderStructure[this.currentFolder].children = [];
-        }
-        this.folderStructure[this.currentFolder].children.push(folderId);
-        
-        this.mediaData[folderId] = [];
-        await this.saveDataToFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.hideCreateFolderModal();
+    buildJsonExport() {
+        return JSON.stringify({
+            format: 'mediavault-backup',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            data: this.getVaultData()
+        }, null, 2);
     }
 
-    async addMedia() {
-        const activeTab = document.querySelector('.mobile-tab.active').getAttribute('data-tab');
-        
-        if (activeTab === 'single') {
-            await this.addSingleMedia();
-        } else {
-            await this.addBatchMedia();
-        }
+    exportCsv() {
+        this.downloadFile(this.getExportFilename('csv'), this.buildCsvExport(), 'text/csv;charset=utf-8');
+        this.showMessage('CSV exported');
     }
 
-    async addSingleMedia() {
-        const link = document.getElementById('media-link').value.trim();
-        const type = document.getElementById('media-type').value;
-        const title = document.getElementById('media-title').value.trim();
-        
-        if (!link) {
-            alert('Please enter a Google Drive link');
-            return;
-        }
-        
-        const fileId = this.extractFileId(link);
-        if (!fileId) {
-            alert('Invalid Google Drive link. Please make sure it\'s a shared link.');
-            return;
+    exportJson() {
+        this.downloadFile(this.getExportFilename('json'), this.buildJsonExport(), 'application/json');
+        this.showMessage('Backup exported');
+    }
+
+    // Returns a list of problems; an empty list means the backup is safe to apply
+    validateBackup(backup) {
+        const errors = [];
+
+        if (!backup || backup.format !== 'mediavault-backup' || !backup.data) {
+            return ['Not a Media Vault backup file'];
         }
-        
-        const mediaItem = {
-            id: fileId,
-            type: type,
-            title: title || `Media ${new Date().toLocaleDateString()}`,
-            added: new Date().toISOString()
-        };
-        
-        if (!this.mediaData[this.currentFolder]) {
-            this.mediaData[this.currentFolder] = [];
+        if (backup.version !== 1) {
+            return [`Unsupported backup version ${backup.version}`];
         }
-        
-        this.mediaData[this.currentFolder].push(mediaItem);
-        await this.saveDataToFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.hideAddMediaModal();
-    }
 
-    async addBatchMedia() {
-        const linksText = document.getElementById('batch-links').value.trim();
-        const prefix = document.getElementById('batch-title').value.trim();
-        const type = document.getElementById('batch-type').value;
-        
-        if (!linksText) {
-            alert('Please paste some Google Drive links');
-            return;
+        const folders = backup.data.folderStructure;
+        const media = backup.data.mediaData || {};
+
+        if (!folders || typeof folders !== 'object' || !folders['root']) {
+            return ['Backup has no Home folder'];
         }
-        
-        const links = linksText.split('\n').map(link => link.trim()).filter(link => link);
-        if (links.length > 10) {
-            alert('Please add maximum 10 links at once');
-            return;
+        if (typeof media !== 'object' || Array.isArray(media)) {
+            return ['Media list is malformed'];
         }
-        
-        let addedCount = 0;
-        
-        for (let i = 0; i < links.length; i++) {
-            const link = links[i];
-            const fileId = this.extractFileId(link);
-            
-            if (fileId) {
-                const mediaItem = {
-                    id: fileId,
-                    type: type,
-                    title: prefix ? `${prefix} ${i + 1}` : `Media ${i + 1}`,
-                    added: new Date().toISOString()
-                };
-                
-                if (!this.mediaData[this.currentFolder]) {
-                    this.mediaData[this.currentFolder] = [];
+        if (backup.data.trashRetention !== undefined && !this.isValidRetention(backup.data.trashRetention)) {
+            errors.push('Trash retention is not a whole number of days');
+        }
+
+        Object.entries(folders).forEach(([folderId, folder]) => {
+            if (!folder || typeof folder.name !== 'string') {
+                errors.push(`Folder "${folderId}" has no name`);
+                return;
+            }
+            if (!this.isValidFolderId(folderId)) {
+                errors.push(`Folder "${folder.name}" has an invalid ID`);
+                return;
+            }
+            if (folderId !== 'root' && folderId !== 'trash' && !folders[folder.parent]) {
+                errors.push(`Folder "${folder.name}" points at a missing parent`);
+            }
+            if (folder.children && !Array.isArray(folder.children)) {
+                errors.push(`Folder "${folder.name}" has a malformed child list`);
+            } else if ((folder.children || []).some(childId => !folders[childId])) {
+                errors.push(`Folder "${folder.name}" lists a missing subfolder`);
+            }
+
+            // Walking up from every folder must reach Home
+            const seen = new Set();
+            let current = folderId;
+            while (current && current !== 'root' && folders[current]) {
+                if (seen.has(current)) {
+                    errors.push(`Folder "${folder.name}" is part of a loop`);
+                    break;
                 }
-                
-                this.mediaData[this.currentFolder].push(mediaItem);
-                addedCount++;
+                seen.add(current);
+                current = folders[current].parent;
             }
+        });
+
+        Object.entries(media).forEach(([folderId, items]) => {
+            if (!folders[folderId]) {
+                errors.push(`Media listed for missing folder "${folderId}"`);
+                return;
+            }
+            if (!Array.isArray(items)) {
+                errors.push(`Media list for "${folders[folderId].name}" is malformed`);
+                return;
+            }
+            items.forEach((item, index) => {
+                if (!item || typeof item.id !== 'string' || !item.id) {
+                    errors.push(`Item ${index + 1} in "${folders[folderId].name}" has no file ID`);
+                } else if (item.type !== 'video' && item.type !== 'image') {
+                    errors.push(`Item "${item.title || item.id}" has invalid type "${item.type}"`);
+                } else if (item.tags !== undefined && !Array.isArray(item.tags)) {
+                    errors.push(`Item "${item.title || item.id}" has a malformed tag list`);
+                } else if (item.provider !== undefined && !MEDIA_PROVIDERS[item.provider]) {
+                    errors.push(`Item "${item.title || item.id}" comes from unknown source "${item.provider}"`);
+                } else if (!isValidMediaId(item.provider, item.id)) {
+                    errors.push(`Item "${item.title || item.id}" has an invalid file ID`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    async handleRestoreFile(file) {
+        if (!file) return;
+
+        let backup = null;
+        let errors;
+        try {
+            backup = JSON.parse(await file.text());
+            errors = this.validateBackup(backup);
+        } catch (error) {
+            errors = ['File is not valid JSON'];
         }
-        
-        if (addedCount > 0) {
-            await this.saveDataToFirebase();
-            this.buildFolderUI(this.currentFolder);
-            this.hideAddMediaModal();
-            this.showMessage(`Added ${addedCount} media items!`);
+
+        const summary = document.getElementById('restore-summary');
+        const errorList = document.getElementById('restore-errors');
+        const confirmBtn = document.getElementById('confirm-restore');
+
+        if (errors.length > 0) {
+            this.pendingRestore = null;
+            summary.textContent = `${file.name} can't be restored:`;
+            errorList.innerHTML = errors.map(error => html`<li>${error}</li>`).join('');
+            confirmBtn.disabled = true;
         } else {
-            alert('No valid Google Drive links found');
+            this.pendingRestore = backup;
+            const folderCount = Object.keys(backup.data.folderStructure).length - 1;
+            const itemCount = Object.values(backup.data.mediaData || {})
+                .reduce((total, items) => total + items.length, 0);
+            summary.textContent = `${file.name}: ${folderCount} folder(s), ${itemCount} item(s), ` +
+                `exported ${new Date(backup.exportedAt).toLocaleString()}.`;
+            errorList.innerHTML = '';
+            confirmBtn.disabled = false;
         }
+
+        this.hideSettingsModal();
+        document.getElementById('restore-modal').classList.add('active');
     }
 
-    async moveSelectedItems() {
-        const targetFolderId = document.getElementById('target-folder').value;
-        if (!targetFolderId) {
-            alert('Please select a target folder');
-            return;
-        }
-        
-        await this.moveSelectedItemsToFolder(targetFolderId);
-        this.hideMoveToModal();
+    hideRestoreModal() {
+        document.getElementById('restore-modal').classList.remove('active');
+        document.getElementById('restore-file').value = '';
+        this.pendingRestore = null;
     }
 
-    async renameSelectedItem() {
-        const newName = document.getElementById('rename-name').value.trim();
-        if (!newName) {
-            alert('Please enter a new name');
+    async confirmRestore() {
+        const backup = this.pendingRestore;
+        if (!backup) return;
+
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        if (mode === 'replace' &&
+            !confirm('Replace the whole vault with this backup? Everything not in the file will be lost.')) {
             return;
         }
-        
-        const item = this.selectedItems[0];
-        if (item.type === 'folder') {
-            this.folderStructure[item.id].name = newName;
-        } else {
-            const media = this.mediaData[item.folderId]?.find(m => m.id === item.id);
-            if (media) media.title = newName;
+
+        // applyOperation copies the data, so the pending backup never aliases live state
+        await this.commitOperation({ type: 'restore', mode, data: backup.data }, { message: 'Vault restored from backup' });
+        this.hideRestoreModal();
+        this.buildFolderUI(this.folderStructure[this.currentFolder] ? this.currentFolder : 'root');
+        // Replacing can be undone, and says so itself
+        if (mode === 'merge') {
+            this.showMessage('Backup merged into vault');
         }
-        
-        await this.saveDataToFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.hideRenameModal();
-        this.cancelSelection();
     }
 
-    async deleteSelectedItems() {
-        if (this.selectedItems.length === 0) return;
-        
-        if (!confirm(`Are you sure you want to delete ${this.selectedItems.length} item(s)?`)) {
-            return;
-        }
-        
-        this.selectedItems.forEach(item => {
-            if (item.type === 'media') {
-                this.mediaData[item.folderId] = this.mediaData[item.folderId].filter(m => m.id !== item.id);
-            } else {
-                this.deleteFolder(item.id);
+    // Adds folders and items from the backup that aren't in the vault yet;
+    // nothing already in the vault is removed or renamed
+    mergeVaultData(data) {
+        Object.entries(data.folderStructure).forEach(([folderId, folder]) => {
+            if (!this.folderStructure[folderId]) {
+                this.folderStructure[folderId] = { ...folder, children: [] };
             }
         });
-        
-        await this.saveDataToFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.cancelSelection();
-    }
 
-    deleteFolder(folderId) {
-        const folder = this.folderStructure[folderId];
-        if (!folder) return;
-        
-        // Remove from parent's children
-        if (folder.parent && this.folderStructure[folder.parent]) {
-            this.folderStructure[folder.parent].children = this.folderStructure[folder.parent].children.filter(id => id !== folderId);
-        }
-        
-        // Recursively delete children
-        if (folder.children) {
-            folder.children.forEach(childId => this.deleteFolder(childId));
-        }
-        
-        // Delete the folder itself
-        delete this.folderStructure[folderId];
-        delete this.mediaData[folderId];
-    }
+        // Folders the vault already had keep their local parent, so child
+        // lists are rebuilt from parent links rather than copied from the file
+        Object.entries(this.folderStructure).forEach(([folderId, folder]) => {
+            const parent = this.folderStructure[folder.parent];
+            if (folderId !== 'root' && parent && !(parent.children || []).includes(folderId)) {
+                parent.children = [...(parent.children || []), folderId];
+            }
+        });
 
-    async refreshFromCloud() {
-        this.showMessage('Refreshing from cloud...');
-        await this.loadDataFromFirebase();
-        this.buildFolderUI(this.currentFolder);
-        this.showMessage('Data refreshed!');
+        Object.entries(data.mediaData || {}).forEach(([folderId, items]) => {
+            const existing = this.mediaData[folderId] || [];
+            items.forEach(item => {
+                if (!existing.some(current => current.id === item.id)) existing.push(item);
+            });
+            this.mediaData[folderId] = existing;
+        });
+
+        this.csvSources = { ...(data.csvSources || {}), ...this.csvSources };
+        this.allowedDuplicates = { ...(data.allowedDuplicates || {}), ...this.allowedDuplicates };
+        this.playlists = { ...(data.playlists || {}), ...this.playlists };
     }
 
-    // LOGIN SYSTEM
+    // LOGIN SYSTEM (see ACCESS CODE)
     checkLoginStatus() {
-        const isLoggedIn = localStorage.getItem('mv_isLoggedIn') === 'true';
+        const isLoggedIn = accessLock.isUnlocked();
         
         if (isLoggedIn) {
             document.getElementById('login-section').style.display = 'none';
@@ -1285,29 +7718,78 @@ class MediaVaultCloud {
                 this.initializeApp();
             }
         } else {
-            document.getElementById('login-section').style.display = 'flex';
-            document.getElementById('gallery-section').style.display = 'none';
+            showLoginSection();
         }
     }
 
-    checkAccess() {
-        const input = document.getElementById('access-code').value;
-        const errorMsg = document.getElementById('error-msg');
-        
-        if (input === '1') {
-            localStorage.setItem('mv_isLoggedIn', 'true');
-            document.getElementById('login-section').style.display = 'none';
-            document.getElementById('gallery-section').style.display = 'block';
-            errorMsg.textContent = '';
-            
-            if (!window.mediaVaultInitialized) {
-                window.mediaVaultInitialized = true;
-                this.initializeApp();
+    setupAutoLock() {
+        // Activity keeps the session alive; writing it on every event is wasteful
+        let lastTouch = 0;
+        const onActivity = () => {
+            if (Date.now() - lastTouch < 15000 || !accessLock.isUnlocked()) return;
+            lastTouch = Date.now();
+            accessLock.touch();
+        };
+        ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && accessLock.settings().lockWhenHidden) {
+                this.lockVault();
             }
-        } else {
-            errorMsg.textContent = 'Incorrect access code! Try "1"';
-            document.getElementById('access-code').focus();
+        });
+
+        // Idle timeout, or the vault was locked in another tab
+        setInterval(() => {
+            if (!accessLock.isUnlocked()) this.lockVault();
+        }, 10000);
+    }
+
+    lockVault() {
+        if (document.getElementById('gallery-section').style.display === 'none') return;
+
+        accessLock.endSession();
+        this.hideVideoPlayer();
+        this.hideAllModals();
+        this.cancelSelection();
+        showLoginSection();
+    }
+
+    async changeAccessCode() {
+        const current = document.getElementById('current-access-code');
+        const next = document.getElementById('new-access-code');
+        const repeat = document.getElementById('confirm-access-code');
+
+        if (next.value !== repeat.value) {
+            alert('The new codes do not match');
+            return;
         }
+
+        try {
+            const result = await accessLock.attempt(current.value);
+            if (!result.ok) {
+                alert(result.message);
+                return;
+            }
+            await accessLock.setCode(next.value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        current.value = '';
+        next.value = '';
+        repeat.value = '';
+        this.showMessage('Access code changed');
+    }
+
+    saveLockSettings() {
+        accessLock.saveSettings({
+            idleMinutes: Number(document.getElementById('idle-lock').value),
+            lockWhenHidden: document.getElementById('lock-when-hidden').checked
+        });
+        accessLock.touch();
     }
 
     logout() {
@@ -1316,26 +7798,128 @@ class MediaVaultCloud {
             this.unsubscribe();
         }
         
-        localStorage.removeItem('mv_isLoggedIn');
+        this.unsubscribe = null;
+
+        this.flushPlays();
+        accessLock.endSession();
         window.mediaVaultInitialized = false;
-        document.getElementById('login-section').style.display = 'flex';
-        document.getElementById('gallery-section').style.display = 'none';
-        document.getElementById('access-code').value = '';
+        this.hideAllModals();
+        showLoginSection();
         this.selectedItems = [];
         this.selectionMode = false;
+        this.selectionAnchor = null;
+        this.keyboardCursor = null;
+        // The next session starts without this one's history
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
         
-        // Sign out from Firebase
-        firebase.auth().signOut();
+        // No signOut(): the anonymous uid is this device's identity in the
+        // vault's device list, and a new one would have to be paired again
+    }
+
+    // Logging in after logout(): reload and listen again. Until initializeApp
+    // has got that far it is still retrying and will do both itself
+    async resume() {
+        if (!this.appStarted) return;
+        await this.loadData();
+        this.startRealtimeUpdates();
+        this.buildFolderUI('root');
+    }
+}
+
+// LOGIN FORM
+// Shows the login screen; before a code has been set it asks for a new one
+function showLoginSection() {
+    const hasCode = accessLock.hasCode();
+    document.getElementById('login-section').style.display = 'flex';
+    document.getElementById('gallery-section').style.display = 'none';
+    document.getElementById('login-title').textContent = hasCode ? 'Enter Access Code' : 'Choose an Access Code';
+    document.getElementById('login-hint').textContent = hasCode
+        ? ''
+        : `Pick a code of at least ${accessLock.minLength} characters. Only a hash of it is stored on this device.`;
+    document.getElementById('access-code-confirm').style.display = hasCode ? 'none' : 'block';
+    document.getElementById('login-btn').textContent = hasCode ? 'Enter Vault' : 'Set Code & Enter';
+    document.getElementById('access-code').value = '';
+    document.getElementById('access-code-confirm').value = '';
+    document.getElementById('error-msg').textContent = '';
+    document.getElementById('access-code').focus();
+}
+
+async function submitAccessCode() {
+    const code = document.getElementById('access-code').value;
+    const errorMsg = document.getElementById('error-msg');
+    const button = document.getElementById('login-btn');
+
+    button.disabled = true;
+    try {
+        if (accessLock.hasCode()) {
+            const result = await accessLock.attempt(code);
+            if (!result.ok) {
+                errorMsg.textContent = result.message;
+                document.getElementById('access-code').focus();
+                return;
+            }
+        } else {
+            if (code !== document.getElementById('access-code-confirm').value) {
+                errorMsg.textContent = 'The codes do not match';
+                return;
+            }
+            await accessLock.setCode(code);
+        }
+    } catch (error) {
+        // crypto.subtle only exists on https:// and localhost
+        errorMsg.textContent = error.message;
+        return;
+    } finally {
+        button.disabled = false;
+    }
+
+    accessLock.startSession();
+    errorMsg.textContent = '';
+    document.getElementById('access-code').value = '';
+    document.getElementById('access-code-confirm').value = '';
+    document.getElementById('login-section').style.display = 'none';
+    document.getElementById('gallery-section').style.display = 'block';
+
+    // After an auto-lock the running app is simply shown again. After a
+    // logout it resumes: a second instance would double every listener
+    if (window.mediaVault && !window.mediaVaultInitialized) {
+        window.mediaVaultInitialized = true;
+        window.mediaVault.resume().catch(error => console.error('Resuming after logout failed:', error));
+    } else if (!window.mediaVault) {
+        window.mediaVault = new MediaVaultCloud();
+        window.mediaVaultInitialized = true;
+
+        // Update cloud status
+        setTimeout(async () => {
+            document.getElementById('cloud-status').innerHTML = '<span style="color: var(--success)">✓</span> Connected to Firebase';
+        }, 1000);
     }
 }
 
 // AUTO-LOGIN AND INITIALIZATION
 document.addEventListener('DOMContentLoaded', function() {
+    // Older versions kept a login flag that never expired
+    localStorage.removeItem('mv_isLoggedIn');
+
     // Check login status immediately
-    const isLoggedIn = localStorage.getItem('mv_isLoggedIn') === 'true';
+    const isLoggedIn = accessLock.isUnlocked();
     
     // Update cloud status
     const cloudStatus = document.getElementById('cloud-status');
+
+    // Set up login handler (also used to unlock after an auto-lock)
+    document.getElementById('login-btn').addEventListener('click', submitAccessCode);
+    
+    // Enter key for login
+    ['access-code', 'access-code-confirm'].forEach(id => {
+        document.getElementById(id).addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                document.getElementById('login-btn').click();
+            }
+        });
+    });
     
     if (isLoggedIn) {
         document.getElementById('login-section').style.display = 'none';
@@ -1348,46 +7932,9 @@ document.addEventListener('DOMContentLoaded', function() {
             cloudStatus.innerHTML = '<span style="color: var(--success)">✓</span> Connected to Firebase';
         }, 1000);
     } else {
-        document.getElementById('login-section').style.display = 'flex';
-        document.getElementById('gallery-section').style.display = 'none';
-        
-        localStorage.removeItem('mv_isLoggedIn');
+        showLoginSection();
         window.mediaVaultInitialized = false;
         
-        // Set up login handler
-        document.getElementById('login-btn').addEventListener('click', function() {
-            const code = document.getElementById('access-code').value;
-            const errorMsg = document.getElementById('error-msg');
-            
-            if (code === '1') {
-                localStorage.setItem('mv_isLoggedIn', 'true');
-                document.getElementById('login-section').style.display = 'none';
-                document.getElementById('gallery-section').style.display = 'block';
-                errorMsg.textContent = '';
-                
-                window.mediaVault = new MediaVaultCloud();
-                window.mediaVaultInitialized = true;
-                
-                // Update cloud status
-                setTimeout(async () => {
-                    cloudStatus.innerHTML = '<span style="color: var(--success)">✓</span> Connected to Firebase';
-                }, 1000);
-            } else {
-                errorMsg.textContent = 'Incorrect code! Try "1"';
-                document.getElementById('access-code').focus();
-            }
-        });
-        
-        // Enter key for login
-        document.getElementById('access-code').addEventListener('keypress', function(e) {
-            if (e.key === 'Enter') {
-                document.getElementById('login-btn').click();
-            }
-        });
-        
-        // Focus on input
-        document.getElementById('access-code').focus();
-        
         // Check for Firebase connection
         setTimeout(() => {
             cloudStatus.innerHTML = '<span style="color: var(--gray)">☁️</span> Firebase ready for login';
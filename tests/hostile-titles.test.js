@@ -0,0 +1,356 @@
+// Titles, folder names, tags, playlist names and ids come from users, CSV
+// files, backups and other devices. This renders the app's views with hostile
+// ones and checks that the markup has exactly the elements and attributes it
+// has for a plain title, i.e. nothing was injected. It also checks the id
+// checks that keep stored ids out of URLs they weren't made for.
+//
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const HOSTILE = [
+    '<img src=x onerror=alert(1)>',
+    '"><script>alert(1)</script>',
+    "' onmouseover=alert(1) x='",
+    '</div><div onclick=alert(1)>',
+    '${alert(1)} & &amp; &lt;'
+];
+const BENIGN = 'Summer holiday';
+const DRIVE_ID = '1AbCdEfGhIjKlMnOpQrStUvWxYz012345';
+const OTHER_DRIVE_ID = '1ZyXwVuTsRqPoNmLkJiHgFeDcBa987654';
+
+// Just enough of a browser for script.js to load and the views to render
+function loadApp() {
+    const elements = new Map();
+    const element = () => ({
+        value: '',
+        textContent: '',
+        innerHTML: '',
+        checked: false,
+        disabled: false,
+        options: [{ value: '' }],
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        setAttribute() {},
+        focus() {}
+    });
+    const storage = () => {
+        const data = new Map();
+        return {
+            getItem: key => data.has(key) ? data.get(key) : null,
+            setItem: (key, value) => data.set(key, String(value)),
+            removeItem: key => data.delete(key)
+        };
+    };
+    const context = {
+        document: {
+            getElementById(id) {
+                if (!elements.has(id)) elements.set(id, element());
+                return elements.get(id);
+            },
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {}
+        },
+        localStorage: storage(),
+        sessionStorage: storage(),
+        navigator: { onLine: true, userAgent: 'node' },
+        console: { log() {}, warn() {}, error() {} },
+        innerWidth: 1024,
+        scrollY: 0,
+        scrollTo() {},
+        addEventListener() {},
+        setTimeout,
+        clearTimeout,
+        URL,
+        TextEncoder,
+        TextDecoder
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8'), context);
+    const scope = name => vm.runInContext(name, context);
+    return { context, elements, scope, MediaVaultCloud: scope('MediaVaultCloud') };
+}
+
+// Tag names with their attribute names, in document order. Quoted attribute
+// values are skipped whole, so text inside them can't pose as an attribute.
+function structure(markup) {
+    const tag = /<\/?([A-Za-z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+    const attribute = /([^\s"'>\/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+    return [...String(markup).matchAll(tag)].map(([whole, name, attributes]) =>
+        `${whole[1] === '/' ? '/' : ''}${name.toLowerCase()}[${[...attributes.matchAll(attribute)].map(match => match[1].toLowerCase()).join(' ')}]`);
+}
+
+function createVault(app, title) {
+    const vault = new app.MediaVaultCloud();
+    const item = { id: DRIVE_ID, provider: 'gdrive', type: 'video', title: `Movie ${title}`, tags: [title], added: '2024-01-01T00:00:00.000Z' };
+    vault.folderStructure = {
+        root: { name: 'Home', parent: null, children: ['folder', 'other', 'smart'] },
+        folder: { name: `Movies ${title}`, parent: 'root', children: [] },
+        other: { name: title, parent: 'root', children: [] },
+        smart: { name: title, parent: 'root', children: [], smart: { tags: [title], match: 'any', type: 'all', text: title } }
+    };
+    vault.mediaData = {
+        root: [],
+        folder: [item],
+        other: [{ ...item, title, tags: [`${title} too`] }],
+        smart: []
+    };
+    vault.playlists = { [`list-${title}`]: { name: title, items: [DRIVE_ID, OTHER_DRIVE_ID] } };
+    vault.currentFolder = 'folder';
+    return vault;
+}
+
+// Everything a view puts on the page: its frame and its grid cells
+function captureView(vault) {
+    let rendered = null;
+    vault.renderView = (viewId, view) => {
+        rendered = String(view.html) + (view.cells || []).map(cell => cell.html).join('');
+    };
+    return () => rendered;
+}
+
+const contents = (app, ...ids) => ids.map(id => String(app.elements.get(id).innerHTML)).join('');
+
+const views = {
+    createFoldersGrid: (app, vault) => String(vault.createFoldersGrid(vault.folderStructure.root).join('')),
+    createMediaItem: (app, vault) => String(vault.createMediaItem(vault.mediaData.folder[0], 'folder')),
+    'updateBreadcrumb (desktop)': (app, vault) => {
+        app.context.innerWidth = 1024;
+        vault.updateBreadcrumb('folder');
+        return contents(app, 'breadcrumb-items');
+    },
+    'updateBreadcrumb (mobile)': (app, vault) => {
+        app.context.innerWidth = 375;
+        vault.updateBreadcrumb('folder');
+        return contents(app, 'breadcrumb-items');
+    },
+    createSmartFolderUI: (app, vault) => {
+        const view = vault.createSmartFolderUI(vault.folderStructure.smart, 'smart');
+        return String(view.html) + (view.cells || []).map(cell => cell.html).join('');
+    },
+    'runSearch (results)': (app, vault) => {
+        const rendered = captureView(vault);
+        app.context.document.getElementById('search-type').value = 'all';
+        app.context.document.getElementById('search-input').value = 'Movie';
+        vault.runSearch();
+        return rendered();
+    },
+    'runSearch (nothing found)': (app, vault, title) => {
+        const rendered = captureView(vault);
+        vault.folderStructure = { root: { name: 'Home', parent: null, children: [] } };
+        vault.mediaData = { root: [] };
+        vault.currentFolder = 'root';
+        app.context.document.getElementById('search-type').value = 'all';
+        app.context.document.getElementById('search-input').value = title;
+        vault.runSearch();
+        return rendered();
+    },
+    renderConflicts: (app, vault, title) => {
+        vault.conflicts = [
+            { key: 'folder:folder', field: 'name', mine: title, theirs: `${title} 2`, kept: 'theirs' },
+            { key: 'folder:other', field: 'parent', mine: 'root', theirs: 'root', kept: 'mine', loop: true }
+        ];
+        vault.renderConflicts();
+        return contents(app, 'conflict-list');
+    },
+    renderPlayQueue: (app, vault, title) => {
+        vault.playQueue = {
+            title,
+            index: 0,
+            entries: [
+                { id: DRIVE_ID, folderId: 'folder', title },
+                { id: OTHER_DRIVE_ID, folderId: 'folder', title: `${title} gone` }
+            ]
+        };
+        vault.renderPlayQueue();
+        return contents(app, 'up-next-list');
+    },
+    renderPlaylists: (app, vault, title) => {
+        vault.openPlaylist = `list-${title}`;
+        vault.renderPlaylists();
+        return contents(app, 'playlist-list');
+    },
+    showAddToPlaylistModal: (app, vault) => {
+        vault.selectedItems = [{ id: DRIVE_ID, type: 'media', folderId: 'folder' }];
+        vault.showAddToPlaylistModal();
+        return contents(app, 'playlist-target');
+    },
+    showTagsModal: (app, vault) => {
+        vault.selectedItems = [{ id: DRIVE_ID, type: 'media', folderId: 'folder' }, { id: DRIVE_ID, type: 'media', folderId: 'other' }];
+        vault.showTagsModal();
+        return contents(app, 'tag-chips', 'known-tags');
+    },
+    renderDuplicates: (app, vault) => {
+        vault.renderDuplicates();
+        return contents(app, 'duplicate-list');
+    },
+    renderDevices: async (app, vault, title) => {
+        const devices = [{ id: 'owner', name: title, lastSeen: title }, { id: title, name: `${title} 2` }];
+        const collection = () => ({ doc: () => ({ collection: () => ({
+            get: async () => ({ docs: devices.map(({ id, ...data }) => ({ id, data: () => data })) })
+        }) }) });
+        vault.storageConfig = { backend: 'firestore' };
+        vault.db = { collection };
+        vault.userId = 'owner';
+        await vault.renderDevices();
+        return contents(app, 'device-list');
+    },
+    renderSnapshotList: (app, vault, title) => {
+        vault.snapshotList = [
+            { id: title, takenAt: '2024-01-01T00:00:00.000Z', summary: { folders: 3, items: 2 } },
+            { id: `${title}-2`, takenAt: '2024-01-02T00:00:00.000Z', summary: null }
+        ];
+        vault.renderSnapshotList();
+        return contents(app, 'snapshot-list');
+    },
+    renderSnapshotDiff: (app, vault, title) => {
+        const data = JSON.parse(JSON.stringify(vault.getVaultData()));
+        data.folderStructure.folder.name = `Old ${title}`;
+        data.folderStructure.gone = { name: `Gone ${title}`, parent: 'root', children: [] };
+        data.folderStructure.root.children.push('gone');
+        data.mediaData.gone = [];
+        vault.snapshotList = [{ id: 'snap', takenAt: '2024-01-01T00:00:00.000Z', summary: null }];
+        vault.openSnapshot = { id: 'snap', data };
+        vault.renderSnapshotDiff();
+        return contents(app, 'snapshot-diff');
+    },
+    'openSnapshotDiff (unreadable)': async (app, vault, title) => {
+        vault.storage = { loadSnapshot: async () => { throw new Error(title); } };
+        await vault.openSnapshotDiff('snap');
+        return contents(app, 'snapshot-diff');
+    },
+    renderBatchPreview: (app, vault, title) => {
+        vault.batchRows = [
+            { line: 1, link: DRIVE_ID, title, type: 'video', status: 'ready', include: true },
+            { line: 2, link: title, title, type: 'image', status: 'invalid', reason: `Not a link: ${title}`, include: false }
+        ];
+        vault.renderBatchPreview();
+        return contents(app, 'batch-rows');
+    },
+    showBatchReport: (app, vault, title) => {
+        const rows = [
+            { line: 1, link: DRIVE_ID, title, status: 'ready', include: false },
+            { line: 2, link: title, title, status: 'invalid', reason: `Not a link: ${title}` }
+        ];
+        vault.showBatchReport(rows, []);
+        return contents(app, 'csv-report-list');
+    },
+    showCsvReport: (app, vault, title) => {
+        vault.showCsvReport({
+            added: 0,
+            foldersCreated: 0,
+            skipped: [
+                { file: `${title}.csv`, line: 2, reason: `Already in "${title}"`, severity: 'skipped' },
+                { file: `${title}.csv`, line: 0, reason: title, severity: 'error' }
+            ]
+        });
+        return contents(app, 'csv-report-list');
+    },
+    'handleRestoreFile (rejected)': async (app, vault, title) => {
+        const backup = {
+            format: 'mediavault-backup',
+            version: 1,
+            data: {
+                folderStructure: {
+                    root: { name: 'Home', parent: null, children: [title] },
+                    [title]: { name: title, parent: 'root', children: [] }
+                },
+                mediaData: { root: [{ id: title, type: 'video', title }] }
+            }
+        };
+        await vault.handleRestoreFile({ name: `${title}.json`, text: async () => JSON.stringify(backup) });
+        return contents(app, 'restore-errors');
+    }
+};
+
+for (const [name, render] of Object.entries(views)) {
+    test(`${name} escapes hostile titles`, async () => {
+        const app = loadApp();
+        const expected = structure(await render(app, createVault(app, BENIGN), BENIGN));
+        assert.ok(expected.length > 0, 'the plain title rendered nothing');
+
+        for (const title of HOSTILE) {
+            const markup = String(await render(app, createVault(app, title), title));
+            assert.deepStrictEqual(structure(markup), expected, `markup changed for ${title}`);
+            assert.doesNotMatch(markup, /<script|<img src=x|<div onclick/i);
+        }
+    });
+}
+
+test('isValidMediaId only accepts ids their provider would make from a link', () => {
+    const { scope } = loadApp();
+    const isValidMediaId = scope('isValidMediaId');
+
+    [
+        ['gdrive', DRIVE_ID],
+        [undefined, DRIVE_ID],
+        ['youtube', 'dQw4w9WgXcQ'],
+        ['dropbox', 'https://www.dropbox.com/s/abc123/clip.mp4'],
+        ['onedrive', 'https://1drv.ms/v/s!AbCdEf'],
+        ['direct', 'https://example.com/media/clip.mp4']
+    ].forEach(([provider, id]) => assert.ok(isValidMediaId(provider, id), `${provider}: ${id}`));
+
+    [
+        ['gdrive', `${DRIVE_ID}" onerror="alert(1)`],
+        ['gdrive', '../../evil'],
+        ['gdrive', 'https://example.com/clip.mp4'],
+        ['gdrive', ''],
+        ['gdrive', null],
+        ['youtube', 'dQw4w9WgXcQ&autoplay=0'],
+        ['youtube', '<img src=x>'],
+        ['dropbox', 'https://www.dropbox.com/s/abc123/clip.mp4?dl=0'],
+        ['dropbox', 'https://evil.example/s/abc123/clip.mp4'],
+        ['onedrive', 'https://evil.example/v/s!AbCdEf'],
+        ['direct', 'javascript:alert(1)//.mp4'],
+        ['direct', 'data:video/mp4;base64,AAAA'],
+        ['direct', 'https://example.com/page.html'],
+        ['direct', 'https://example.com/clip.mp4#" onerror="alert(1)'],
+        ['unknown', DRIVE_ID]
+    ].forEach(([provider, id]) => assert.ok(!isValidMediaId(provider, id), `${provider}: ${id}`));
+});
+
+test('media with an invalid id render without a URL', () => {
+    const app = loadApp();
+    const vault = createVault(app, BENIGN);
+    const markup = String(vault.createMediaItem({ id: 'javascript:alert(1)//.png', provider: 'direct', type: 'image', title: BENIGN }, 'folder'));
+    assert.doesNotMatch(markup, /<img|src=/);
+    assert.match(markup, /media-thumb-placeholder/);
+});
+
+test('isValidFolderId accepts the ids the app makes and nothing else', () => {
+    const app = loadApp();
+    const vault = createVault(app, BENIGN);
+
+    ['root', 'trash', 'folder-1700000000000', 'csv-movies-2024', 'csv-movies-2024-2']
+        .forEach(id => assert.ok(vault.isValidFolderId(id), id));
+    ['', 'a"b', "a'b", 'a b', '<img>', '../root', 'x'.repeat(101), null, 42]
+        .forEach(id => assert.ok(!vault.isValidFolderId(id), String(id)));
+});
+
+test('validateBackup rejects hostile folder and file ids', () => {
+    const app = loadApp();
+    const vault = createVault(app, BENIGN);
+    const backup = (folderId, item) => ({
+        format: 'mediavault-backup',
+        version: 1,
+        data: {
+            folderStructure: {
+                root: { name: 'Home', parent: null, children: [folderId] },
+                [folderId]: { name: BENIGN, parent: 'root', children: [] }
+            },
+            mediaData: { [folderId]: [item] }
+        }
+    });
+
+    assert.deepStrictEqual([...vault.validateBackup(backup('folder-1', { id: DRIVE_ID, type: 'video', title: BENIGN }))], []);
+    assert.ok(vault.validateBackup(backup('x" onclick="alert(1)', { id: DRIVE_ID, type: 'video' }))
+        .some(error => error.includes('invalid ID')));
+    assert.ok(vault.validateBackup(backup('folder-1', { id: 'javascript:alert(1)//.mp4', provider: 'direct', type: 'video' }))
+        .some(error => error.includes('invalid file ID')));
+});